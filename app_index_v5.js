@@ -23,73 +23,281 @@ document.getElementById('fileInput').addEventListener('change', handleFileSelect
     e.preventDefault();
     e.stopPropagation();
     box.style.borderStyle = 'dotted';
-    const f = (e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0]) || null;
-    if (!f) return;
+    runPipelineOnFiles(e.dataTransfer && e.dataTransfer.files);
+  });
+})();
+
+function handleFileSelect(e) {
+  runPipelineOnFiles(e.target.files);
+}
+
+function runPipelineOnFiles(fileList) {
+  // Several files = one book split into PDFs (merged in runPipeline)
+  const files = Array.from(fileList || []);
+  if (!files.length) return;
+  Promise.all(files.map(f => new Promise((resolve, reject) => {
     const fileReader = new FileReader();
     fileReader.readAsArrayBuffer(f);
     fileReader.onload = function() {
-      const typedArray = new Uint8Array(this.result);
-      runPipeline(typedArray);
+      resolve({ name: f.name, data: new Uint8Array(this.result) });
     };
+    fileReader.onerror = () => reject(fileReader.error);
+  }))).then(sources => {
+    runPipeline(sources);
+  }).catch(e => {
+    // A file that can't be read never reaches runPipeline: report it in the log and output like its errors
+    const log = document.getElementById('log');
+    if (log) log.value += "오류: 파일을 읽지 못했음 (" + String(e) + ")\n";
+    document.getElementById('output').textContent = "오류: " + String(e);
   });
-})();
+}
 
-function handleFileSelect(e) {
-  const f = e.target.files[0];
-  if (!f) return;
-  const fileReader = new FileReader();
-  fileReader.readAsArrayBuffer(f);
-  fileReader.onload = function() {
-    const typedArray = new Uint8Array(this.result);
-    runPipeline(typedArray);
-  };
+// Last TOC export (text/json/pdfmark), shown and downloaded from the export panel
+let tocExports = null;
+
+function showTocExport() {
+  if (!tocExports) return;
+  document.getElementById('tocExport').textContent = tocExports[document.getElementById('tocExportFormat').value];
+}
+
+function downloadTocExport() {
+  if (!tocExports) {
+    alert("먼저 PDF를 처리해야 함!");
+    return;
+  }
+  const format = document.getElementById('tocExportFormat').value;
+  const ext = { text: "txt", json: "json", pdfmark: "pdfmark" }[format];
+  const blob = new Blob([tocExports[format]], { type: format === "json" ? "application/json" : "text/plain" });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = "toc." + ext;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// Extracted page text per PDF, kept in IndexedDB under the PDF's fingerprint so re-opening the
+// same proof skips pdf.js text extraction. Every call degrades to "no cache" when IndexedDB is unavailable.
+const PAGE_STORE_DB = "pdfIndexPageStore";
+const PAGE_STORE = "books";
+
+function openPageStore() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined' || !indexedDB) {
+      reject(new Error("IndexedDB 없음"));
+      return;
+    }
+    const req = indexedDB.open(PAGE_STORE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(PAGE_STORE, { keyPath: "key" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function pageStoreRequest(mode, makeRequest) {
+  const db = await openPageStore();
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = makeRequest(db.transaction(PAGE_STORE, mode).objectStore(PAGE_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function pageStoreGet(key) {
+  try {
+    return (await pageStoreRequest("readonly", store => store.get(key))) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function pageStorePut(record) {
+  try {
+    await pageStoreRequest("readwrite", store => store.put(record));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function renderPageStoreList() {
+  const table = document.getElementById('pageStoreTable');
+  if (!table) return;
+  let records = [];
+  try {
+    records = await pageStoreRequest("readonly", store => store.getAll());
+  } catch (e) {
+    table.textContent = "이 브라우저에서는 저장소(IndexedDB)를 쓸 수 없음";
+    return;
+  }
+  table.textContent = "";
+  if (!records.length) {
+    table.textContent = "저장된 책 없음";
+    return;
+  }
+  for (const rec of records.sort((a, b) => b.savedAt - a.savedAt)) {
+    const row = table.insertRow();
+    const stored = rec.pages.filter(Boolean).length;
+    row.insertCell().textContent = rec.fileName || "(이름 없음)";
+    row.insertCell().textContent = stored + "/" + rec.numPages + "쪽";
+    row.insertCell().textContent = new Date(rec.savedAt).toLocaleString();
+    const btn = document.createElement('button');
+    btn.textContent = "지우기";
+    btn.onclick = () => deletePageStoreEntry(rec.key);
+    row.insertCell().appendChild(btn);
+  }
+}
+
+async function deletePageStoreEntry(key) {
+  try {
+    await pageStoreRequest("readwrite", store => store.delete(key));
+  } catch (e) {
+    alert("지우기 실패: " + String(e));
+  }
+  renderPageStoreList();
+}
+
+async function clearPageStore() {
+  if (!confirm("저장된 책 텍스트를 전부 지울까?")) return;
+  try {
+    await pageStoreRequest("readwrite", store => store.clear());
+  } catch (e) {
+    alert("지우기 실패: " + String(e));
+  }
+  renderPageStoreList();
+}
+
+// Loaded documents, caches and stage results of the last run, so "다시 실행" can apply changed
+// settings without reading the file again. Set by runPipeline once the PDF is loaded.
+let lastRun = null;
+
+function rerunPipeline() {
+  if (!lastRun) {
+    alert("먼저 PDF를 선택해야 함!");
+    return;
+  }
+  runPipeline(null);
 }
 
-async function runPipeline(typedArray) {
+async function runPipeline(input) {
+  // input: one PDF as Uint8Array, several as [{ name, data }] (one PDF per chapter),
+  // or null to re-run on the documents of the last run (stages whose settings didn't change are reused)
+  const reuse = (input == null) ? lastRun : null;
   // Settings (kept simple: user asked to keep UI stable)
   const MAX_PAGES_TO_SCAN = 2000; // safety cap for huge PDFs (still scans all if smaller)
   const MAX_TOC_SCAN_PAGES = 60;  // scan first N pages to find TOC unless manual is set
   const TOC_END_MARK = "찾아보기"; // if present near TOC end
+  const TOC_HEADER_CANDIDATES = ["차 례", "목차", "CONTENTS"]; // matched ignoring spaces/case
 
   const DROP_EXACT = new Set(["CHAPTER", "개요", "요약"]); // minimal stopwords per user guidance
   const ONE_PAGE_PER_CHAPTER = true;
 
+  // Book page locators: physicalToBook holds numeric sort keys, this registry maps key -> typed locator.
+  // Arabic pages keep their own number as key (so TOC pages/chapter ranges compare as before),
+  // roman front matter sorts before 1, prefixed labels (A-3, 부록-5) sort after all arabic pages.
+  const PREFIX_KEY_BASE = 1000000;
+  const PREFIX_KEY_STRIDE = 10000;
+  // (kept across re-runs: keys already stored in reused stage results must keep meaning the same page)
+  const bookLocators = reuse ? reuse.bookLocators : new Map(); // key -> { kind, value, prefix, label }
+  const locatorPrefixes = reuse ? reuse.locatorPrefixes : [];  // prefix order of first appearance
+
+  // Running head / folio lines to leave out of page text: physical page -> Set of y keys (null = keep all)
+  let runningHeadMask = null;
+
+  // Reconstructed page texts (physical page -> { mask, text }); reused while the running-head mask is the same
+  const pageTextCache = reuse ? reuse.pageTextCache : [];
+  let pageTextReuse = 0;
+
+  // Hyphen pairs the book prints inside a line ("key-value"), collected on first page text; see reconstructPageText
+  let hyphenatedWords = null;
+
+  // Unicode fixes applied to each page text (physical page -> counts per kind), logged once after caching
+  const unicodeFixStats = reuse ? reuse.unicodeFixStats : [];
+  const UNICODE_FIX_NAMES = { nfc: "NFC 결합", jamo: "호환 자모", width: "전각/반각", ligature: "합자", quote: "따옴표" };
+
   const OUTPUT = document.getElementById('output');
   OUTPUT.innerHTML = "기다리라우...";
   logPut(); // clear log
+  const rerunButton = document.getElementById('rerunButton');
+  if (rerunButton) rerunButton.disabled = true;
 
   // worker 설정
   pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdfjs-5.4.530-dist/build/pdf.worker.mjs';
-  const loadingTask = pdfjsLib.getDocument({ data: typedArray });
-
-  loadingTask.promise.then(async function(pdf) {
+  const sources = (input instanceof Uint8Array) ? [{ name: "", data: input }] : input;
+  const loaded = reuse
+    ? Promise.resolve(reuse.pdf)
+    : loadPdfDocuments(sources).then(async pdfDocuments => createPageUnits(await orderPdfDocuments(pdfDocuments)));
+
+  loaded.then(async function(pdf) {
+    // From here on "physical page" means page unit: a PDF page (of the chained files), or one half of a 2-up spread
+    const run = reuse || { pdf: pdf, bookLocators: bookLocators, locatorPrefixes: locatorPrefixes, pageTextCache: pageTextCache, unicodeFixStats: unicodeFixStats, stages: new Map() };
+    lastRun = run;
     const totalPages = Math.min(pdf.numPages, MAX_PAGES_TO_SCAN);
-    logPut("PDF 로드 완료. 전체 페이지: " + pdf.numPages + " (이번 실행 스캔: " + totalPages + ")");
-
-    // 1) Identify TOC page range
-    const [tocStart, tocEnd] = await findTocRange(pdf, totalPages, MAX_TOC_SCAN_PAGES, TOC_END_MARK);
-    if (tocStart === null) {
-      OUTPUT.innerHTML = "목차(차례) 페이지를 찾지 못했음. 오른쪽에서 수동 지정(목차 페이지 수동 지정) 체크 후 재시도 ㄱㄱ.";
+    logPut((reuse ? "다시 실행(파일은 다시 읽지 않음). " : "PDF 로드 완료. ") + "전체 페이지: " + pdf.numPages + " (이번 실행 스캔: " + totalPages + ")");
+
+    // 1~2) Page mapping and TOC (reused on re-run unless their settings changed)
+    const structureKey = settingsKey(["paramIncludeFrontMatter", "paramPageMapOverrides", "paramManualPages", "paramManualPagesStart",
+      "paramManualPagesEnd", "paramPageHeader", "paramPageHeaderStr"]);
+    const structure = await runStage("페이지 매핑/목차", structureKey, readBookStructure);
+    if (structure.error) {
+      OUTPUT.innerHTML = structure.error;
+      if (rerunButton) rerunButton.disabled = false;
       return;
     }
-    logPut("목차 페이지 범위: " + (tocStart + 1) + "~" + (tocEnd + 1) + " (0-index 내부)");
-
-    // 2) Parse TOC (level 1 + level 2)
-    const tocItems = await parseTocLevel1And2(pdf, tocStart, tocEnd);
-    const level1 = tocItems.filter(x => x.level === 1);
-    const level2 = tocItems.filter(x => x.level === 2);
+    const physicalToBook = structure.physicalToBook;
+    const tocItems = structure.tocItems;
+    // Chapter ranges come from numbered chapters and appendices only (not "들어가며" etc.)
+    const level1 = tocItems.filter(x => x.level === 1 && x.kind !== "unnumbered");
+    // (same for sections: "마치며", "요약" would become ranges with no chapter and lose their pages)
+    const level2 = tocItems.filter(x => x.level === 2 && x.kind !== "unnumbered");
+    const level3 = tocItems.filter(x => x.level === 3);
 
     if (level2.length === 0) {
       OUTPUT.innerHTML = "2단계 목차(1.1 같은 것)를 파싱하지 못했음. 로그를 확인해 주세요.";
+      if (rerunButton) rerunButton.disabled = false;
       return;
     }
-    logPut("목차 파싱: 1단계 " + level1.length + "개, 2단계 " + level2.length + "개");
+    logPut("목차 파싱: 부 " + tocItems.filter(x => x.level === 0).length + "개, 1단계 " + level1.length +
+      "개(부록 " + level1.filter(x => x.kind === "appendix").length + "개), 2단계 " + level2.length +
+      "개, 3단계 " + level3.length + "개, 번호 없음 " + tocItems.filter(x => x.kind === "unnumbered").length + "개");
+
 
     // 3) Build chapter ranges (book pages, not physical pages)
+    // Without level-1 TOC entries, chapter opener pages found in the body beat the "first n.1 page - 1" guess.
     const useTwoLevel = document.getElementById("paramUseTwoLevel")?.checked;
-    const rangeSource = useTwoLevel ? level2 : level1;
-    const chapterRanges = buildChapterRanges(rangeSource, totalPages);
-    //const chapterRanges = buildChapterRanges(level1, level2);
+    let chapterRanges;
+    let rangeMethod;
+    if (useTwoLevel) {
+      chapterRanges = buildChapterRanges(level2, []);
+      rangeMethod = "목차 2단계(절 단위)";
+    } else if (level1.length) {
+      chapterRanges = buildChapterRanges(level1, []);
+      rangeMethod = "목차 1단계";
+    } else {
+      logPut("목차에 1단계(챕터) 항목이 없어 본문에서 챕터 시작 페이지를 찾음");
+      const openers = await detectChapterOpeners(pdf, totalPages, physicalToBook);
+      if (openers.length) {
+        chapterRanges = buildChapterRanges(openers, []);
+        rangeMethod = "본문 챕터 시작 페이지 탐지";
+      } else {
+        chapterRanges = buildChapterRanges([], level2);
+        rangeMethod = "2단계 번호로 추정(첫 n.1 쪽 - 1)";
+      }
+    }
+    logPut("챕터 범위 산출 방식: " + rangeMethod + ", " + chapterRanges.length + "개");
+
+    // Front matter / prefixed appendix pages outside chapters are compressed per label kind,
+    // so each such group adds one allowed page to the automatic cap.
+    const extraLocatorGroups = new Set();
+    for (let p = 1; p <= totalPages; p++) {
+      const bp = physicalToBook[p];
+      if (bp == null || chapterForBookPage(chapterRanges, bp)) continue;
+      const loc = locatorForBookPage(bp);
+      if (loc.kind !== "arabic") extraLocatorGroups.add(loc.kind + ":" + loc.prefix);
+    }
 
     // Determine chapter count used for capping pages per term (defaults to parsed chapters).
     const manualChapterCount = getChapterCountOverride();
@@ -104,82 +312,53 @@ async function runPipeline(typedArray) {
         logPut("경고: 챕터 수 수동 지정이 체크되어 있으나 값이 올바르지 않아 자동 감지를 사용함");
       }
     }
-    // 4) Build physical->book page mapping using PDF page labels if available (best, non-heuristic)
-    let physicalToBook = new Array(totalPages + 1).fill(null);
-    let usedLabels = false;
 
-    try {
-      if (typeof pdf.getPageLabels === 'function') {
-        const labels = await pdf.getPageLabels(); // length == pdf.numPages, 0-indexed
-        if (labels && labels.length) {
-          usedLabels = true;
-          for (let p = 1; p <= totalPages; p++) {
-            const lab = labels[p - 1];
-            if (!lab) continue;
-            const mNum = String(lab).match(/^\s*(\d{1,6})\s*$/);
-            if (mNum) physicalToBook[p] = parseInt(mNum[1], 10);
-          }
-        }
+    // 4) Running heads/folios repeat the chapter or section title on every page; keep them out of matching
+    const maskKey = settingsKey(["paramKeepRunningHeads"]);
+    runningHeadMask = await runStage("머리말/꼬리말", maskKey, async function() {
+      if (document.getElementById('paramKeepRunningHeads')?.checked) {
+        logPut("머리말/꼬리말 포함(제거 안 함)");
+        return null;
       }
-    } catch (e) {
-      // ignore, will fall back
-    }
+      return await detectRunningHeadMask(pdf, totalPages);
+    });
 
-    /*
-    //고려하지 않음
-    let offset = 0;
-    if (!usedLabels) {
-      offset = await estimateBookToPhysicalOffset(pdf, totalPages, level1, tocEnd, level2);
-      for (let p = 1; p <= totalPages; p++) {
-        const bp = physicalToBook[p];
-        if (bp > 0) physicalToBook[p] = bp;
+    // 5~7) Terms: editor-supplied list (skips auto extraction) or auto-extracted candidates
+    const termList = getTermListOverride();
+    const terms = await runStage("용어 추출", structureKey + maskKey + settingsKey(["paramUseTermList", "paramTermList"]), async function() {
+      if (termList) {
+        const listed = dedupeTerms(termList, new Set(), normalizeListedTerm);
+        logPut("용어 목록 직접 지정 사용: " + listed.length + "개 (자동 추출 생략)");
+        const rejected = termList.filter(t => !normalizeListedTerm(t));
+        if (rejected.length) logPut("경고: 목록에서 제외된 줄(2자 미만 또는 60자 초과): " + rejected.join(", "));
+        return listed;
       }
-      logPut("페이지 오프셋 추정(라벨 없음): book_page = physical_page - " + offset);
-    } else {
-    */
-      // Log label-derived mapping sanity
-      let firstPhys = null, firstBook = null, lastPhys = null, lastBook = null;
-      for (let p = 1; p <= totalPages; p++) {
-        if (physicalToBook[p] != null) { firstPhys = p; firstBook = physicalToBook[p]; break; }
-      }
-      for (let p = totalPages; p >= 1; p--) {
-        if (physicalToBook[p] != null) { lastPhys = p; lastBook = physicalToBook[p]; break; }
-      }
-      logPut("페이지 라벨 사용: 물리 " + firstPhys + "쪽 -> 본문 " + firstBook + " / 물리 " + lastPhys + "쪽 -> 본문 " + lastBook);
-    //}
-
-    // 5) Extract seed terms from TOC titles (level 2 titles)
-    const tocTerms = extractTermsFromTocTitles(level2, DROP_EXACT);
-    logPut("TOC 기반 시드 용어: " + tocTerms.length + "개");
-
-    // 6) Extract conservative tech tokens from body (English-like tokens only)
-    const techTerms = await extractTechTokensFromBody(pdf, totalPages, physicalToBook, DROP_EXACT);
-    logPut("본문 기반 영문 기술 토큰: " + techTerms.length + "개");
-
-    /*
-    // 국문 후보를 본문에서 “제한적으로” 뽑음(빈도 기반 + 패턴 기반 필터)
-    const koreanTerms = await extractKoreanPhrasesFromBody(pdf, totalPages, physicalToBook, DROP_EXACT);
-    */
-
-    // 국문(영문) / 영문(국문) 패턴
-    const parenKoreanTerms = await extractKoreanFromParentheticalPairs(pdf, totalPages, physicalToBook, DROP_EXACT);
-
-    // 7) Merge terms, dedupe
-    const allTerms = dedupeTerms(tocTerms.concat(techTerms).concat(parenKoreanTerms), DROP_EXACT);
-    //const allTerms = dedupeTerms(parenKoreanTerms, DROP_EXACT);  //dev
-    logPut("최종 용어 후보(중복 등 제거 후): " + allTerms.length + "개");
-
-    // terms 생성/정제 끝난 직후
-    const terms = allTerms
-    .filter(t => !shouldDropTrailingParticle(t))
-    .filter(t => !isGenericQuantifierPhrase(t))
-    .filter(t => !shouldDropDanglingModifier(t));
-    logPut("최종 용어 후보(2차 조사 제거 후): " + terms.length + "개");
-
-    // 8) Page matching (exact contains) and compress to earliest per chapter
-    const indexLines = await buildIndexLines(pdf, totalPages, terms, physicalToBook, chapterRanges, {
-      maxPagesPerTerm: (chapterCount > 0 ? chapterCount : 11),
-      onePagePerChapter: ONE_PAGE_PER_CHAPTER
+      const chk = document.getElementById('paramUseTermList');
+      if (chk && chk.checked) {
+        logPut("경고: 용어 목록 직접 지정이 체크되어 있으나 목록이 비어 있어 자동 추출을 사용함");
+      }
+      return await extractCandidateTerms();
+    });
+
+    // 8) Page text cache, cross-reference check, then page matching (exact contains) compressed to earliest per chapter
+    const pageTexts = await buildPageTextCache(pdf, totalPages);
+    await runStage("교정 검사(상호 참조, 그림/표 목차)", structureKey + maskKey, async function() {
+      checkCrossReferences(pageTexts, tocItems, physicalToBook, totalPages);
+      buildCaptionLists(pageTexts, physicalToBook);
+      return true;
+    });
+
+    // Term -> matched book pages only depends on page texts and mapping, not on chapter settings
+    const matchCache = await runStage("용어 위치 찾기", structureKey + maskKey, async () => new Map());
+    const missingTerms = [];
+    const outsideRangeTerms = [];
+    const indexLines = buildIndexLines(pageTexts, terms, physicalToBook, chapterRanges, {
+      maxPagesPerTerm: (chapterCount > 0 ? chapterCount + (manualChapterCount != null ? 0 : extraLocatorGroups.size) : 11),
+      onePagePerChapter: ONE_PAGE_PER_CHAPTER,
+      skipContainmentDedupe: !!termList, // 편집자가 고른 용어는 포함 관계로 지우지 않음
+      missingTerms: missingTerms,
+      outsideRangeTerms: outsideRangeTerms,
+      matchCache: matchCache
     });
 
     // 9) Render output (typeset friendly)
@@ -191,16 +370,488 @@ async function runPipeline(typedArray) {
     //OUTPUT.innerHTML = htmlEscape(indexLines.join("\n"));
     OUTPUT.textContent = indexLines.join("\n");
     logPut("완료! 결과 줄 수: " + indexLines.length);
+    const cache = pdf.cacheStats();
+    logPut("페이지 캐시: pdf.js 텍스트 추출 " + cache.extracted + "쪽(" + (cache.extractMs / 1000).toFixed(1) + "초), 재사용 " +
+      cache.reused + "회, 저장소에서 불러옴 " + cache.restored + "쪽, 본문 텍스트 재사용 " + pageTextReuse + "회 → 아낀 추출 시간 약 " +
+      (cache.savedMs / 1000).toFixed(1) + "초");
+    await pdf.saveToPageStore();
+    if (missingTerms.length) {
+      logPut("본문에서 찾지 못한 용어: " + missingTerms.length + "개");
+      for (const t of missingTerms) logPut("  - " + t);
+    }
+    if (outsideRangeTerms.length) {
+      logPut("챕터 범위 밖에서만 찾은 용어(색인에서 빠짐): " + outsideRangeTerms.length + "개");
+      for (const t of outsideRangeTerms) logPut("  - " + t);
+    }
     logPut("팁: '결과 전체 복사' 버튼으로 전체 복사 가능");
+    if (rerunButton) rerunButton.disabled = false;
+
+    async function runStage(name, key, compute) {
+      // Re-run memo: a stage whose settings key matches the last run's returns its stored result
+      const prev = run.stages.get(name);
+      if (prev && prev.key === key) {
+        logPut("설정 변경 없음: '" + name + "' 이전 결과 사용");
+        return prev.value;
+      }
+      const value = await compute();
+      run.stages.set(name, { key: key, value: value });
+      return value;
+    }
+
+    async function readBookStructure() {
+      // 1) Build physical->book page mapping using PDF page labels if available (best, non-heuristic)
+      let physicalToBook = new Array(totalPages + 1).fill(null);
+      let usedLabels = false;
+
+      try {
+        if (typeof pdf.getPageLabels === 'function') {
+          const labels = await pdf.getPageLabels(); // length == pdf.numPages, 0-indexed
+          if (labels && labels.length) {
+            const includeFront = document.getElementById('paramIncludeFrontMatter')?.checked;
+            const kindCount = { arabic: 0, roman: 0, prefixed: 0 };
+            for (let p = 1; p <= totalPages; p++) {
+              const lab = labels[p - 1];
+              if (!lab) continue;
+              const loc = parseLocatorLabel(lab);
+              if (!loc) continue;
+              kindCount[loc.kind]++;
+              if (loc.kind === "roman" && !includeFront) continue;
+              physicalToBook[p] = registerLocator(loc);
+              usedLabels = true;
+            }
+            logPut("페이지 라벨 종류: 숫자 " + kindCount.arabic + "쪽, 로마 숫자 " + kindCount.roman + "쪽(" + (includeFront ? "포함" : "제외") +
+              "), 접두어 " + kindCount.prefixed + "쪽" + (locatorPrefixes.length ? "(" + locatorPrefixes.join(", ") + ")" : ""));
+          }
+        }
+      } catch (e) {
+        // ignore, will fall back
+      }
+
+      if (!usedLabels) {
+        // No numeric labels: read printed folios from header/footer and infer (piecewise) offsets
+        logPut("숫자 페이지 라벨 없음: 머리말/꼬리말의 쪽번호로 매핑 추정");
+        physicalToBook = await inferBookPagesFromFolios(pdf, totalPages);
+      } else {
+        // Log label-derived mapping sanity
+        let firstPhys = null, firstBook = null, lastPhys = null, lastBook = null;
+        for (let p = 1; p <= totalPages; p++) {
+          if (physicalToBook[p] != null) { firstPhys = p; firstBook = physicalToBook[p]; break; }
+        }
+        for (let p = totalPages; p >= 1; p--) {
+          if (physicalToBook[p] != null) { lastPhys = p; lastBook = physicalToBook[p]; break; }
+        }
+        logPut("페이지 라벨 사용: 물리 " + firstPhys + "쪽 -> 본문 " + formatBookPage(firstBook) + " / 물리 " + lastPhys + "쪽 -> 본문 " + formatBookPage(lastBook));
+      }
+
+      // Manual overrides (editor-fixed ranges) win over labels/folios; then show the whole table
+      const overridden = applyPageMapOverrides(physicalToBook, totalPages);
+      renderPageMapTable(physicalToBook, totalPages, overridden, pdf);
+
+      // 2) TOC items (level 1 + level 2): PDF outline(bookmarks) first, printed TOC pages as fallback
+      // (목차 페이지를 수동 지정했으면 북마크는 건너뜀)
+      const manualTocPages = document.getElementById('paramManualPages').checked;
+      let tocItems = manualTocPages ? [] : await readOutlineTocItems(pdf, totalPages, physicalToBook);
+      const includeFront = document.getElementById('paramIncludeFrontMatter')?.checked;
+      if (tocItems.filter(x => x.level === 2).length) {
+        logPut("목차 출처: PDF 북마크(outline) " + tocItems.length + "개 항목");
+        if (includeFront) {
+          // 앞부분을 포함할 때는 차례 페이지 자체가 색인 위치로 잡히지 않도록 범위만 찾아서 뺌
+          const [tocStart, tocEnd] = await findTocRange(pdf, totalPages, MAX_TOC_SCAN_PAGES, TOC_END_MARK);
+          if (tocStart !== null) excludeTocPages(physicalToBook, tocStart, tocEnd);
+        }
+      } else {
+        if (tocItems.length) logPut("PDF 북마크에 2단계 항목이 없어 인쇄된 차례를 사용함");
+        const [tocStart, tocEnd] = await findTocRange(pdf, totalPages, MAX_TOC_SCAN_PAGES, TOC_END_MARK);
+        if (tocStart === null) {
+          return { error: "목차(차례) 페이지를 찾지 못했음. 오른쪽에서 수동 지정(목차 페이지 수동 지정) 체크 후 재시도 ㄱㄱ." };
+        }
+        logPut("목차 페이지 범위: " + (tocStart + 1) + "~" + (tocEnd + 1) + " (0-index 내부)");
+        tocItems = await parseTocLevel1And2(pdf, tocStart, tocEnd);
+        logPut("목차 출처: 인쇄된 차례 페이지");
+        await checkTocPages(pdf, totalPages, tocItems, physicalToBook);
+        if (includeFront) excludeTocPages(physicalToBook, tocStart, tocEnd);
+      }
+      exportToc(pdf, tocItems, physicalToBook, totalPages);
+      return { physicalToBook: physicalToBook, tocItems: tocItems };
+    }
+
+    function excludeTocPages(physicalToBook, tocStart, tocEnd) {
+      for (let p0 = tocStart; p0 <= tocEnd; p0++) physicalToBook[p0 + 1] = null;
+      logPut("앞부분 포함: 차례 페이지(물리 " + (tocStart + 1) + "~" + (tocEnd + 1) + "쪽)는 색인 위치에서 제외");
+    }
+
+    async function extractCandidateTerms() {
+      // 5) Extract seed terms from TOC titles (level 2/3 titles)
+      // (numbered sections/subsections only: "마치며", "연습 문제" are not terms)
+      const tocTerms = extractTermsFromTocTitles(level2.concat(level3).filter(x => x.kind !== "unnumbered"), DROP_EXACT);
+      logPut("TOC 기반 시드 용어: " + tocTerms.length + "개");
+
+      // 6) Extract conservative tech tokens from body (English-like tokens only)
+      const techTerms = await extractTechTokensFromBody(pdf, totalPages, physicalToBook, DROP_EXACT);
+      logPut("본문 기반 영문 기술 토큰: " + techTerms.length + "개");
+
+      /*
+      // 국문 후보를 본문에서 “제한적으로” 뽑음(빈도 기반 + 패턴 기반 필터)
+      const koreanTerms = await extractKoreanPhrasesFromBody(pdf, totalPages, physicalToBook, DROP_EXACT);
+      */
+
+      // 국문(영문) / 영문(국문) 패턴
+      const parenKoreanTerms = await extractKoreanFromParentheticalPairs(pdf, totalPages, physicalToBook, DROP_EXACT);
+
+      // 7) Merge terms, dedupe
+      const allTerms = dedupeTerms(tocTerms.concat(techTerms).concat(parenKoreanTerms), DROP_EXACT);
+      //const allTerms = dedupeTerms(parenKoreanTerms, DROP_EXACT);  //dev
+      logPut("최종 용어 후보(중복 등 제거 후): " + allTerms.length + "개");
+
+      // terms 생성/정제 끝난 직후
+      const filtered = allTerms
+      .filter(t => !shouldDropTrailingParticle(t))
+      .filter(t => !isGenericQuantifierPhrase(t))
+      .filter(t => !shouldDropDanglingModifier(t));
+      logPut("최종 용어 후보(2차 조사 제거 후): " + filtered.length + "개");
+      return filtered;
+    }
   }).catch(function(err) {
+    if (rerunButton) rerunButton.disabled = !lastRun;
     //OUTPUT.innerHTML = "오류: " + htmlEscape(String(err));
-    OUTPUT.textContent = "오류: " + String(err);
+    // Our own errors (password cancelled etc.) carry a message meant for the user
+    OUTPUT.textContent = "오류: " + (err instanceof Error && err.name === "Error" ? err.message : String(err));
   });
 
   // -----------------------------
   // Pipeline helpers
   // -----------------------------
 
+  async function loadPdfDocuments(sources) {
+    // sources: [{ name, data }] -> pdf.js documents, each tagged with its file name
+    const docs = [];
+    for (const src of sources) {
+      const doc = await openPdfDocument(src);
+      doc.fileName = src.name;
+      docs.push(doc);
+    }
+    return docs;
+  }
+
+  async function openPdfDocument(src) {
+    // Password-protected proofs: pdf.js asks through onPassword (again after a wrong one).
+    // Cancelling the prompt or too many wrong tries ends the run with a plain message.
+    const MAX_PASSWORD_TRIES = 3;
+    const name = src.name ? " (" + src.name + ")" : "";
+    const loadingTask = pdfjsLib.getDocument({ data: src.data });
+    let tries = 0;
+    let failure = null;
+    loadingTask.onPassword = function(updatePassword, reason) {
+      const wrong = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+      if (wrong) logPut("비밀번호가 틀렸음" + name + " (" + tries + "/" + MAX_PASSWORD_TRIES + ")");
+      if (tries >= MAX_PASSWORD_TRIES) {
+        failure = "비밀번호가 " + MAX_PASSWORD_TRIES + "번 틀렸음" + name + ". 파일을 다시 선택해서 재시도 ㄱㄱ.";
+        updatePassword(new Error(failure)); // rejects the request: pdf.js fails the loading task
+        return;
+      }
+      const password = prompt((wrong ? "비밀번호가 틀렸음. 다시 입력" : "비밀번호가 걸린 PDF임. 비밀번호 입력") + name);
+      if (password === null) {
+        failure = "비밀번호 입력을 취소했음" + name + ". 파일을 다시 선택하면 다시 물어봄.";
+        updatePassword(new Error(failure));
+        return;
+      }
+      tries++;
+      updatePassword(password);
+    };
+    try {
+      const doc = await loadingTask.promise;
+      if (tries) logPut("비밀번호로 PDF 열었음" + name);
+      return doc;
+    } catch (e) {
+      throw (failure ? new Error(failure) : e);
+    }
+  }
+
+  async function orderPdfDocuments(docs) {
+    // One PDF per chapter: order by file name (natural: "ch2" < "ch10") or by the first page label
+    // (front matter i, ii... first, then 1, 2..., then prefixed A-1...).
+    // "자동" uses labels when every file's first page has a page label, else file names.
+    if (docs.length < 2) return docs;
+    const mode = document.getElementById('paramMultiOrder')?.value || "자동";
+    const firstLabels = [];
+    for (const doc of docs) {
+      let labels = null;
+      try {
+        labels = await doc.getPageLabels();
+      } catch (e) {
+        // no labels
+      }
+      firstLabels.push(labels ? parseLocatorLabel(labels[0]) : null);
+    }
+    const KIND_RANK = { roman: 0, arabic: 1, prefixed: 2 };
+    const labelRank = loc => loc ? [KIND_RANK[loc.kind], loc.prefix, loc.value] : [3, "", 0];
+    const byLabel = mode === "라벨" || (mode === "자동" && firstLabels.every(loc => loc));
+    const order = docs.map((doc, i) => i);
+    if (byLabel) {
+      order.sort((a, b) => {
+        const ra = labelRank(firstLabels[a]), rb = labelRank(firstLabels[b]);
+        return ra[0] - rb[0] || ra[1].localeCompare(rb[1]) || ra[2] - rb[2] ||
+          docs[a].fileName.localeCompare(docs[b].fileName, undefined, { numeric: true });
+      });
+    } else {
+      order.sort((a, b) => docs[a].fileName.localeCompare(docs[b].fileName, undefined, { numeric: true }));
+    }
+    logPut("PDF " + docs.length + "개를 " + (byLabel ? "첫 쪽 라벨" : "파일 이름") + " 순서로 이어 붙임: " +
+      order.map(i => docs[i].fileName + (firstLabels[i] ? "(" + firstLabels[i].label + "~)" : "")).join(", "));
+    return order.map(i => docs[i]);
+  }
+
+  async function createPageUnits(pdfDocuments) {
+    // Pipeline stages read pages through this pdf-like view: getPage(u) / numPages / labels /
+    // outline work on page units of one virtual document. Several PDFs (one per chapter) are
+    // chained in order. A unit is a whole PDF page, or one half of a landscape 2-up spread
+    // (designers' proofs), whose text items are split at the middle and shifted to half-page coordinates.
+    // Spreads are only split when most pages are landscape, so a rotated table page in a normal book stays whole.
+    // Text content (items with geometry and font names, plus styles) is extracted once per PDF page and
+    // shared by every stage (folios, TOC, running heads, term extraction, matching); see cacheStats().
+    // With paramUsePageStore the extraction is also restored from / saved to IndexedDB (saveToPageStore).
+    const SPREAD_ASPECT = 1.2;
+    const usePageStore = document.getElementById('paramUsePageStore')?.checked;
+    const stored = []; // per file: IndexedDB record or null
+    for (const doc of pdfDocuments) stored.push(usePageStore ? await pageStoreGet(pageStoreKey(doc)) : null);
+
+    const stats = { extracted: 0, extractMs: 0, reused: 0, restored: 0, restoredMs: 0 };
+    const sheets = []; // { doc, docIndex, pageNum, view, seq } over all files, seq = page number in the merged PDF
+    for (let d = 0; d < pdfDocuments.length; d++) {
+      const rec = stored[d];
+      for (let p = 1; p <= pdfDocuments[d].numPages; p++) {
+        const view = (rec && rec.views[p - 1]) || (await pdfDocuments[d].getPage(p)).view;
+        const sheet = { doc: pdfDocuments[d], docIndex: d, pageNum: p, view: view, seq: sheets.length + 1 };
+        if (rec && rec.pages[p - 1]) {
+          sheet.content = Promise.resolve(rec.pages[p - 1]);
+          sheet.stored = true;
+          sheet.restoredUnread = true;
+          stats.restored++;
+          stats.restoredMs += rec.msPerPage || 0;
+        }
+        sheets.push(sheet);
+      }
+    }
+    if (stats.restored) logPut("브라우저 저장소(IndexedDB)에서 추출된 텍스트 " + stats.restored + "쪽을 불러옴");
+    const isLandscape = v => (v[2] - v[0]) > (v[3] - v[1]) * SPREAD_ASPECT;
+    const landscapeCount = sheets.filter(sh => isLandscape(sh.view)).length;
+    const isSpread = landscapeCount > sheets.length / 2;
+
+    const units = [null]; // 1-based: { sheet, half: null | "left" | "right", view, offsetX }
+    for (const sheet of sheets) {
+      const v = sheet.view;
+      sheet.firstUnit = units.length;
+      if (!isSpread || !isLandscape(v)) {
+        units.push({ sheet: sheet, half: null, view: v, offsetX: 0 });
+        continue;
+      }
+      const mid = (v[0] + v[2]) / 2;
+      units.push({ sheet: sheet, half: "left", view: [v[0], v[1], mid, v[3]], offsetX: 0 });
+      units.push({ sheet: sheet, half: "right", view: [v[0], v[1], mid, v[3]], offsetX: mid - v[0] });
+    }
+    if (isSpread) {
+      logPut("펼침면(2쪽 모아찍기) PDF 감지: 가로 페이지 " + landscapeCount + "/" + sheets.length + "쪽을 왼쪽/오른쪽으로 나눠 " +
+        (units.length - 1) + "개 페이지 단위로 처리");
+    }
+
+    function describeUnit(u) {
+      const unit = units[u];
+      if (!unit) return "?";
+      return (pdfDocuments.length > 1 ? unit.sheet.doc.fileName + " " : "PDF ") + unit.sheet.pageNum + "쪽" +
+        (unit.half === "left" ? " 왼쪽" : unit.half === "right" ? " 오른쪽" : "");
+    }
+
+    function sheetContent(sheet) {
+      // Promise is cached, so concurrent and later readers share one pdf.js extraction
+      if (!sheet.content) {
+        sheet.content = (async function() {
+          const t0 = performance.now();
+          const page = await sheet.doc.getPage(sheet.pageNum);
+          const tc = await page.getTextContent();
+          page.cleanup();
+          stats.extracted++;
+          stats.extractMs += performance.now() - t0;
+          return { items: tc.items, styles: tc.styles };
+        })();
+      } else if (sheet.restoredUnread) {
+        sheet.restoredUnread = false; // first read of a restored page is counted in stats.restored
+      } else {
+        stats.reused++;
+      }
+      return sheet.content;
+    }
+
+    function unitContent(unit) {
+      if (!unit.half) return sheetContent(unit.sheet);
+      if (!unit.content) {
+        const mid = unit.view[2];
+        unit.content = sheetContent(unit.sheet).then(tc => {
+          // Items are assigned by their starting x; right-half items move left by half a page
+          const items = tc.items.filter(it => (it.transform[4] < mid) === (unit.half === "left")).map(it => {
+            if (!unit.offsetX) return it;
+            const transform = it.transform.slice();
+            transform[4] -= unit.offsetX;
+            return Object.assign({}, it, { transform: transform });
+          });
+          return { items: items, styles: tc.styles };
+        });
+      } else {
+        stats.reused++;
+      }
+      return unit.content;
+    }
+
+    async function getPage(u) {
+      const unit = units[u];
+      return {
+        view: unit.view,
+        getTextContent: () => unitContent(unit)
+      };
+    }
+
+    function cacheStats() {
+      const avgMs = stats.extracted ? stats.extractMs / stats.extracted : 0;
+      return {
+        extracted: stats.extracted,
+        extractMs: stats.extractMs,
+        reused: stats.reused,
+        restored: stats.restored,
+        savedMs: stats.reused * (avgMs || (stats.restored ? stats.restoredMs / stats.restored : 0)) + stats.restoredMs
+      };
+    }
+
+    async function saveToPageStore() {
+      // Files with newly extracted pages are written back whole (restored pages included);
+      // a re-run that extracted nothing new writes nothing
+      if (!usePageStore) return;
+      for (let d = 0; d < pdfDocuments.length; d++) {
+        const own = sheets.filter(sh => sh.docIndex === d);
+        if (!own.some(sh => sh.content && !sh.stored)) continue;
+        const pages = [];
+        for (const sh of own) {
+          const tc = sh.content ? await sh.content : null;
+          pages.push(tc && {
+            items: tc.items.map(it => ({ str: it.str, dir: it.dir, width: it.width, height: it.height, transform: it.transform, fontName: it.fontName, hasEOL: it.hasEOL })),
+            styles: tc.styles
+          });
+        }
+        const ok = await pageStorePut({
+          key: pageStoreKey(pdfDocuments[d]),
+          fileName: pdfDocuments[d].fileName,
+          numPages: own.length,
+          views: own.map(sh => sh.view),
+          pages: pages,
+          msPerPage: stats.extracted ? stats.extractMs / stats.extracted : 0, // for "time saved" when restored
+          savedAt: Date.now()
+        });
+        if (ok) for (const sh of own) if (sh.content) sh.stored = true;
+        logPut(ok
+          ? "브라우저 저장소(IndexedDB)에 추출된 텍스트 저장: " + (pdfDocuments[d].fileName || "PDF") + " " + pages.filter(Boolean).length + "쪽"
+          : "브라우저 저장소(IndexedDB)에 저장하지 못했음(용량 부족 또는 사용 불가)");
+      }
+    }
+
+    async function getPageLabels() {
+      // Labels of all files back to back. Mixing labelled and unlabelled files, or files whose numbers
+      // restart (every chapter PDF starting at 1), gives no usable mapping: fall back to printed folios.
+      const perDoc = [];
+      for (const doc of pdfDocuments) perDoc.push(await doc.getPageLabels());
+      if (perDoc.every(labels => !labels)) return null;
+      if (perDoc.some(labels => !labels)) {
+        logPut("페이지 라벨이 없는 PDF가 섞여 있어 라벨을 쓰지 않음");
+        return null;
+      }
+      for (let d = 1; d < perDoc.length; d++) {
+        const prev = parseLocatorLabel(perDoc[d - 1][perDoc[d - 1].length - 1]);
+        const next = parseLocatorLabel(perDoc[d][0]);
+        if (prev && next && prev.kind === "arabic" && next.kind === "arabic" && next.value <= prev.value) {
+          logPut("PDF 경계에서 쪽 라벨이 되돌아감(" + pdfDocuments[d].fileName + ": " + prev.value + " → " + next.value + "), 라벨을 쓰지 않음");
+          return null;
+        }
+      }
+      const labelOf = sheet => perDoc[sheet.docIndex][sheet.pageNum - 1];
+
+      // A single number per spread is the left page only if the labels step by 2 (12, 14, 16...);
+      // sheet numbers (1, 2, 3...) say nothing about the book pages
+      const spreadNumbers = [];
+      for (let u = 1; u < units.length; u++) {
+        if (units[u].half === "left" && /^\d+$/.test(String(labelOf(units[u].sheet) || "").trim())) {
+          spreadNumbers.push(parseInt(labelOf(units[u].sheet), 10));
+        }
+      }
+      let stepTwo = 0;
+      for (let i = 1; i < spreadNumbers.length; i++) if (spreadNumbers[i] - spreadNumbers[i - 1] === 2) stepTwo++;
+      const singleIsLeft = stepTwo > (spreadNumbers.length - 1) / 2;
+      if (spreadNumbers.length > 1 && !singleIsLeft) logPut("펼침면 페이지 라벨이 2씩 늘지 않아 숫자 하나짜리 라벨은 쓰지 않음");
+
+      const out = [];
+      for (let u = 1; u < units.length; u++) {
+        const unit = units[u];
+        const label = labelOf(unit.sheet);
+        out.push(unit.half ? splitSpreadLabel(label, singleIsLeft)[unit.half === "left" ? 0 : 1] : label);
+      }
+      return out;
+    }
+
+    async function getOutline() {
+      // Bookmarks of all files in order; each node remembers its file so its destination resolves there
+      const merged = [];
+      const tag = (nodes, docIndex) => nodes.map(node => ({
+        title: node.title,
+        dest: node.dest,
+        docIndex: docIndex,
+        items: tag(node.items || [], docIndex)
+      }));
+      for (let d = 0; d < pdfDocuments.length; d++) {
+        const outline = await pdfDocuments[d].getOutline();
+        if (outline) merged.push.apply(merged, tag(outline, d));
+      }
+      return merged;
+    }
+
+    function unitForPdfPage(docIndex, pageIndex0, left) {
+      const sheet = sheets.find(sh => sh.docIndex === docIndex && sh.pageNum === pageIndex0 + 1);
+      if (!sheet) return null;
+      const u = sheet.firstUnit;
+      if (units[u].half && left != null && left >= units[u + 1].offsetX + units[u].view[0]) return u + 1;
+      return u;
+    }
+
+    return {
+      numPages: units.length - 1,
+      isSpread: isSpread,
+      describeUnit: describeUnit,
+      getPage: getPage,
+      getPageLabels: getPageLabels,
+      getOutline: getOutline,
+      getDestination: (dest, docIndex) => pdfDocuments[docIndex || 0].getDestination(dest),
+      getPageIndex: (ref, docIndex) => pdfDocuments[docIndex || 0].getPageIndex(ref),
+      unitForPdfPage: unitForPdfPage,
+      cacheStats: cacheStats,
+      saveToPageStore: saveToPageStore,
+      // page number in the merged PDF (files back to back); a spread half points at its sheet
+      pdfPageOfUnit: u => units[u] ? units[u].sheet.seq : null
+    };
+  }
+
+  function pageStoreKey(doc) {
+    // pdf.js fingerprints: [permanent id, changing id] (second is null for never-modified files)
+    return (doc.fingerprints || []).filter(Boolean).join("-");
+  }
+
+  function splitSpreadLabel(label, singleIsLeft) {
+    // Page label of a spread -> [left, right]: "12-13" / "iv–v" as printed, or (singleIsLeft) a single
+    // "12" for the left page, the right one being the next number. Anything else labels neither half.
+    if (!label) return [null, null];
+    const m = String(label).match(/^\s*(.+?)\s*[-–]\s*(.+?)\s*$/);
+    if (m) {
+      const a = parseLocatorLabel(m[1]), b = parseLocatorLabel(m[2]);
+      if (a && b && a.kind === b.kind && a.prefix === b.prefix) return [m[1], m[2]];
+    }
+    if (singleIsLeft && /^\d+$/.test(String(label).trim())) return [String(label).trim(), String(parseInt(label, 10) + 1)];
+    return [null, null];
+  }
+
   function indexSortComparator(a, b) {
     const ta = a.term || a;
     const tb = b.term || b;
@@ -305,92 +956,547 @@ async function runPipeline(typedArray) {
       return [s, e];
     }
 
+    // Header candidates: the built-in list for "자동", otherwise just the string the user picked.
+    // Matching ignores spaces and case ("차 례" = "차례", "CONTENTS" = "Contents").
     const PAGE_HEADER = document.getElementById('paramPageHeaderStr').value;
+    const headers = (PAGE_HEADER.trim() === "자동" || !PAGE_HEADER.trim()) ? TOC_HEADER_CANDIDATES : [PAGE_HEADER];
+    const compact = str => String(str || "").replace(/\s+/g, "").toLowerCase();
     const scanEnd = Math.min(totalPages, maxScanPages);
 
-    logPut("목차 자동 탐색: 1~" + scanEnd + "쪽에서 '" + PAGE_HEADER + "' 검색 중...");
-    let tocStart = null;
+    logPut("목차 자동 탐색: 1~" + scanEnd + "쪽에서 '" + headers.join("', '") + "' 검색 중...");
+
+    // Page -> { lines, tocLines } (TOC-like = parseTocLine understands it)
+    const pageInfo = new Map();
+    async function infoOf(p) {
+      if (!pageInfo.has(p)) {
+        const lines = await readTocPageLines(pdf, p, false);
+        pageInfo.set(p, { lines: lines, tocLines: lines.filter(l => parseTocLine(l.text)).length });
+      }
+      return pageInfo.get(p);
+    }
+
+    // A header must be one of the first few lines and (almost) the whole line, so a body sentence
+    // containing "contents" or a running head "차례" on a later TOC page doesn't start a new span.
+    const candidates = [];
     for (let p = 1; p <= scanEnd; p++) {
-      const txt = await getPageText(pdf, p);
-      if (txt.indexOf(PAGE_HEADER) > -1) {
-        tocStart = p - 1; // 0-index
-        logPut("목차 시작 페이지 후보 발견: " + p + "쪽");
-        break;
+      const info = await infoOf(p);
+      for (const line of info.lines.slice(0, 5)) {
+        const c = compact(line.text);
+        const hit = headers.find(h => c.startsWith(compact(h)) && c.length <= compact(h).length + 6);
+        if (hit) {
+          candidates.push({ start: p, header: hit });
+          break;
+        }
       }
     }
-    if (tocStart === null) return [null, null];
 
-    // TOC end heuristics: stop when (a) blank page, (b) page containing tocEndMark, or (c) near max scan
-    let tocEnd = tocStart;
-    for (let p0 = tocStart; p0 < Math.min(totalPages, tocStart + 50); p0++) {
-      const txt = await getPageText(pdf, p0 + 1);
-      const stripped = txt.replace(/\s+/g, "");
-      if (!stripped) { // blank-ish
-        tocEnd = p0 - 1;
-        break;
+    let headerless = false;
+    if (!candidates.length) {
+      // No header string at all: fall back to pages that simply look like a TOC
+      for (let p = 1; p <= scanEnd; p++) {
+        if ((await infoOf(p)).tocLines >= 5) {
+          candidates.push({ start: p, header: null });
+          break;
+        }
       }
-      tocEnd = p0;
-      if (txt.indexOf(tocEndMark) > -1) {
-        tocEnd = p0;
-        break;
+      headerless = candidates.length > 0;
+    }
+    if (!candidates.length) return [null, null];
+
+    // Span + score per candidate: following pages belong to the TOC while they keep TOC-like lines;
+    // stop after a page containing tocEndMark, or before a blank/non-TOC page.
+    let best = null;
+    for (const cand of candidates) {
+      let end = cand.start;
+      let score = 0;
+      for (let p = cand.start; p <= Math.min(totalPages, cand.start + 50); p++) {
+        const info = await infoOf(p);
+        if (p > cand.start && (info.tocLines < 2 || info.tocLines < info.lines.length * 0.3)) break;
+        end = p;
+        score += info.tocLines;
+        if (p > cand.start && info.lines.some(l => l.text.indexOf(tocEndMark) > -1)) break;
       }
+      cand.end = end;
+      cand.score = score;
+      logPut("  후보: 물리 " + cand.start + "~" + end + "쪽 " + (cand.header ? "'" + cand.header + "'" : "(헤더 없음)") + ", 목차형 줄 " + score + "개");
+      if (!best || cand.score > best.score) best = cand;
+    }
+
+    if (best.score === 0) {
+      logPut("목차 후보는 있으나 목차형 줄이 없음");
+      return [null, null];
     }
-    return [tocStart, tocEnd];
+    logPut("목차 선택: 물리 " + best.start + "~" + best.end + "쪽 " +
+      (headerless ? "(헤더 문자열 없이 목차형 줄 점수로 선택)" : "(후보 " + candidates.length + "개 중 목차형 줄이 가장 많음)"));
+    return [best.start - 1, best.end - 1];
   }
 
   async function parseTocLevel1And2(pdf, tocStart, tocEnd) {
+    // Despite the name, returns the whole hierarchy in reading order:
+    // level 0 = part, 1 = chapter/appendix, 2 = section, 3 = subsection.
+    // Unnumbered entries ("들어가며", "마치며") take their level from context:
+    // inside a chapter they are sections, otherwise chapter-level (kind "unnumbered").
     const items = [];
+    const debugLines = [];
+    let inChapter = false;
+    let appendixLetter = null; // "A" while inside APPENDIX A
     for (let p0 = tocStart; p0 <= tocEnd; p0++) {
       logPut("목차 파싱 중: " + (p0 + 1) + "쪽");
-      const page = await pdf.getPage(p0 + 1);
-      const textContent = await page.getTextContent();
-      const lines = groupItemsIntoLines(textContent.items);
+      const lines = await readTocPageLines(pdf, p0 + 1, true);
 
+      debugLines.push("=== 물리 " + (p0 + 1) + "쪽 ===");
       for (const line of lines) {
-        const parsed = parseTocLine(line.text);
+        const parsed = parseTocLine(line.text) || parsePagelessPart(line.text);
         if (parsed) {
-          items.push({
-            level: parsed.level,
-            number: parsed.number,
-            title: parsed.title,
-            page: parsed.page
-          });
+          if (parsed.kind === "part") inChapter = false;
+          if (parsed.kind === "chapter" || parsed.kind === "appendix") inChapter = true;
+          if (parsed.kind === "part" || parsed.kind === "chapter" || parsed.kind === "appendix") {
+            appendixLetter = parsed.kind === "appendix" ? parsed.number : null;
+          }
+          demoteLetterSection(parsed, appendixLetter, parsed.text);
+          if (parsed.level == null) parsed.level = inChapter ? 2 : 1;
         }
+        debugLines.push(formatTocDebugLine(line, parsed));
+        if (!parsed) continue;
+        items.push({
+          level: parsed.level,
+          kind: parsed.kind,
+          number: parsed.number,
+          title: parsed.title,
+          text: parsed.text,
+          page: parsed.page
+        });
+      }
+    }
+    renderTocDebug(debugLines);
+    // A part printed without a page number starts where its first entry starts
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (items[i].page == null && i + 1 < items.length) {
+        items[i].page = items[i + 1].page;
+        items[i].pageInferred = true;
       }
     }
     return items.filter(x => x.title && x.page && x.page > 0);
   }
 
+  function demoteLetterSection(heading, appendixLetter, text) {
+    // "A.1" is a section only inside APPENDIX A; elsewhere "X.509 인증서" is a title starting with a letter
+    if ((heading.kind === "section" || heading.kind === "subsection") && /^[A-Z]\./.test(heading.number) &&
+        heading.number.charAt(0) !== appendixLetter) {
+      Object.assign(heading, { level: null, kind: "unnumbered", number: "", title: text });
+    }
+    return heading;
+  }
+
+  function parsePagelessPart(rawLine) {
+    // "PART 2 심화" / "제2부 응용" on its own line (many books don't print a page for parts)
+    const line = rawLine.replace(/\s+/g, " ").trim();
+    const heading = classifyHeading(line);
+    if (!heading || heading.kind !== "part" || !heading.title) return null;
+    heading.page = null;
+    heading.text = line;
+    return heading;
+  }
+
+  async function readTocPageLines(pdf, pageNum1, verbose) {
+    // TOC page -> lines in reading order. Two-column pages are split at the gutter and read
+    // column by column (items spanning the gutter, e.g. a centered "차 례" header, come first).
+    const page = await pdf.getPage(pageNum1);
+    const textContent = await page.getTextContent();
+    const columns = splitTocColumns(textContent.items, page.view);
+    if (columns.gutter != null && verbose) {
+      logPut("목차 2단 감지: 물리 " + pageNum1 + "쪽 (단 사이 x≈" + Math.round(columns.gutter) +
+        ", 왼쪽 " + columns.left.length + "/오른쪽 " + columns.right.length + "개 조각)");
+    }
+    return groupItemsIntoLines(columns.spanning)
+      .concat(groupItemsIntoLines(columns.left))
+      .concat(groupItemsIntoLines(columns.right));
+  }
+
+  function splitTocColumns(items, view) {
+    // Finds a vertical gutter in the middle half of the page: the widest run of x positions that
+    // (almost) no text item covers. Single-column TOC lines all cross the middle, so they never
+    // produce one. Returns { gutter, spanning, left, right }; gutter is null for single column.
+    const MIN_GUTTER = 8;          // pt
+    const MIN_ITEMS_PER_COLUMN = 5;
+    const [x0, , x1] = view;
+    const width = x1 - x0;
+    const texts = items.filter(it => (it.str || "").trim());
+    const single = { gutter: null, spanning: [], left: texts, right: [] };
+    if (texts.length < MIN_ITEMS_PER_COLUMN * 2) return single;
+
+    const bins = new Array(Math.ceil(width) + 1).fill(0);
+    for (const it of texts) {
+      const a = Math.max(0, Math.floor(it.transform[4] - x0));
+      const b = Math.min(bins.length - 1, Math.ceil(it.transform[4] - x0 + (it.width || 0)));
+      for (let i = a; i <= b; i++) bins[i]++;
+    }
+    // a few items may cross the gutter (header, folio); full-width lines are many more
+    const tolerance = Math.max(1, Math.floor(texts.length * 0.05));
+
+    // Candidate gaps; the gap between a left-column title and its right-aligned page number looks
+    // just like a gutter, so skip gaps whose right-hand neighbours are mostly bare page numbers.
+    let best = null;
+    let runStart = null;
+    const from = Math.floor(width * 0.25), to = Math.ceil(width * 0.75);
+    for (let i = from; i <= to + 1; i++) {
+      const empty = i <= to && bins[i] <= tolerance;
+      if (empty && runStart === null) runStart = i;
+      if (!empty && runStart !== null) {
+        const cand = { start: runStart, len: i - runStart };
+        runStart = null;
+        if (cand.len < MIN_GUTTER || (best && cand.len <= best.len)) continue;
+        const edge = x0 + cand.start + cand.len;
+        const neighbours = texts.filter(it => it.transform[4] >= edge - 1 && it.transform[4] <= edge + width * 0.1);
+        const pageOnly = neighbours.filter(it => isTocPageOnly(it.str)).length;
+        if (neighbours.length && pageOnly * 2 >= neighbours.length) continue;
+        best = cand;
+      }
+    }
+    if (!best) return single;
+
+    const gutter = x0 + best.start + best.len / 2;
+    const out = { gutter: gutter, spanning: [], left: [], right: [] };
+    for (const it of texts) {
+      const a = it.transform[4], b = a + (it.width || 0);
+      if (a < gutter && b > gutter) out.spanning.push(it);
+      else if (b <= gutter) out.left.push(it);
+      else out.right.push(it);
+    }
+    if (out.left.length < MIN_ITEMS_PER_COLUMN || out.right.length < MIN_ITEMS_PER_COLUMN) return single;
+    return out;
+  }
+
+  function formatTocDebugLine(line, parsed) {
+    const mergedMark = line.merged ? " (+" + (line.merged - 1) + "줄 이어붙임)" : "";
+    if (!parsed) return "  ✗ " + line.text + mergedMark;
+    return "  L" + parsed.level + " " + parsed.kind + " " + (parsed.number || "-") + " | " + parsed.title + " | " +
+      (parsed.page == null ? "(쪽 없음)" : formatBookPage(parsed.page)) + mergedMark;
+  }
+
+  function renderTocDebug(debugLines) {
+    // Reconstructed TOC lines as parseTocLine saw them (after leader stripping and line merging)
+    const pre = document.getElementById('tocDebug');
+    if (pre) pre.textContent = debugLines.join("\n");
+  }
+
+  function buildTocTree(tocItems) {
+    // Flat reading-order items -> nested nodes (part > chapter > section > subsection)
+    const root = { level: -1, children: [] };
+    const stack = [root];
+    for (const it of tocItems) {
+      while (stack.length > 1 && stack[stack.length - 1].level >= it.level) stack.pop();
+      const node = { level: it.level, kind: it.kind, number: it.number, title: it.title, text: it.text, page: it.page, physical: it.physical, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    }
+    return root.children;
+  }
+
+  function exportToc(pdf, tocItems, physicalToBook, totalPages) {
+    // Cleaned TOC as deliverables: indented text (index format), JSON and Ghostscript pdfmark
+    // (gs -o out.pdf -sDEVICE=pdfwrite in.pdf toc.pdfmark). Kept in tocExports for the export panel.
+    const bookToPhysical = buildBookToPhysical(physicalToBook, totalPages);
+    const tree = buildTocTree(tocItems);
+    const heading = node => node.text || ((node.number ? node.number + " " : "") + node.title);
+    const physicalOf = node => {
+      if (node.physical != null) return node.physical;
+      if (bookToPhysical.has(node.page)) return bookToPhysical.get(node.page);
+      // no PDF page for this book page: the first child's page is the next best target
+      for (const child of node.children) {
+        const p = physicalOf(child);
+        if (p != null) return p;
+      }
+      return null;
+    };
+
+    const textLines = [];
+    let dropped = 0;
+    // Returns one entry per bookmark written ([its line, ...its descendants' lines]), so /Count is the
+    // number of children actually written: a wrong count nests the following bookmarks under this one
+    function walk(nodes, depth) {
+      const marks = [];
+      for (const node of nodes) {
+        textLines.push("  ".repeat(depth) + heading(node) + "    " + formatBookPage(node.page));
+        const physical = physicalOf(node);
+        const childMarks = walk(node.children, depth + 1);
+        if (physical == null) {
+          dropped++;
+          continue;
+        }
+        // pdfmark targets PDF pages (a spread half points at its sheet)
+        marks.push(["[/Title " + pdfmarkString(heading(node)) + (childMarks.length ? " /Count -" + childMarks.length : "") +
+          " /Page " + pdf.pdfPageOfUnit(physical) + " /View [/XYZ null null null] /OUT pdfmark"].concat(...childMarks));
+      }
+      return marks;
+    }
+    const markLines = ["[/PageMode /UseOutlines /DOCVIEW pdfmark"].concat(...walk(tree, 0));
+    if (dropped) logPut("목차 내보내기: PDF 페이지를 알 수 없어 북마크에서 뺀 항목 " + dropped + "개");
+
+    const toJson = nodes => nodes.map(node => ({
+      kind: node.kind,
+      number: node.number || null,
+      title: node.title,
+      page: formatBookPage(node.page),
+      physicalPage: physicalOf(node) == null ? null : pdf.pdfPageOfUnit(physicalOf(node)),
+      children: toJson(node.children)
+    }));
+    tocExports = {
+      text: textLines.join("\n"),
+      json: JSON.stringify(toJson(tree), null, 2),
+      pdfmark: markLines.join("\n")
+    };
+    showTocExport();
+    logPut("목차 내보내기 준비: 최상위 " + tree.length + "개, 전체 " + tocItems.length + "개 항목");
+  }
+
+  function pdfmarkString(str) {
+    // UTF-16BE hex string with BOM, so Hangul titles survive Ghostscript
+    let hex = "FEFF";
+    for (let i = 0; i < str.length; i++) hex += str.charCodeAt(i).toString(16).padStart(4, "0").toUpperCase();
+    return "<" + hex + ">";
+  }
+
+  async function checkTocPages(pdf, totalPages, tocItems, physicalToBook) {
+    // Proofreading by-product of the printed TOC: each entry's heading should sit on the book page
+    // the TOC states. Looks for it on that page first, then on nearby pages, and reports
+    // wrong page / heading text differs / heading not found. Result goes to #tocCheck.
+    const SEARCH_RADIUS = 5; // physical pages either side
+    const bookToPhysical = buildBookToPhysical(physicalToBook, totalPages);
+    // Locator kinds left out of the mapping (roman front matter unless included) can't be checked
+    const locatorGroup = key => { const loc = locatorForBookPage(key); return loc.kind + ":" + loc.prefix; };
+    const mappedGroups = new Set(Array.from(bookToPhysical.keys(), locatorGroup));
+    const compact = str => normalizeUnicodeText(String(str || "")).replace(/\s+/g, "").toLowerCase();
+
+    const headingCache = new Map();
+    async function headingLines(p) {
+      // Lines at least as large as the page's body text (running heads and captions are smaller)
+      if (!headingCache.has(p)) {
+        const page = await pdf.getPage(p);
+        const textContent = await page.getTextContent();
+        const lines = groupItemsIntoLines(textContent.items);
+        const sizes = lines.map(l => l.size).sort((a, b) => a - b);
+        const median = sizes.length ? sizes[Math.floor(sizes.length / 2)] : 0;
+        headingCache.set(p, lines.filter(l => l.size >= median).map(l => l.text));
+      }
+      return headingCache.get(p);
+    }
+    function matchTitle(lines, item) {
+      const title = compact(item.title);
+      return lines.find(l => {
+        const c = compact(l);
+        if (!title || c.indexOf(title) < 0) return false;
+        return c.startsWith(title) || c.startsWith(compact(item.number)) || /^(chapter|part|appendix|제?\d+[장부]|부록)/.test(c);
+      });
+    }
+    function matchNumber(lines, item) {
+      if (!item.number) return null;
+      const num = compact(item.number);
+      const labelled = item.kind === "chapter" || item.kind === "part" || item.kind === "appendix";
+      return lines.find(l => {
+        const c = compact(l);
+        if (labelled) return new RegExp("^(chapter|part|appendix|부록|제)?" + num + "([장부]|$)").test(c);
+        return c.startsWith(num) && !/[\d.]/.test(c.charAt(num.length));
+      });
+    }
+
+    const problems = [];
+    let checked = 0;
+    let unchecked = 0;
+    for (const item of tocItems) {
+      if (item.pageInferred) continue; // no printed page to check
+      const label = (item.number ? item.number + " " : "") + item.title + " (목차 " + formatBookPage(item.page) + "쪽)";
+      const stated = bookToPhysical.get(item.page);
+      if (stated == null && !mappedGroups.has(locatorGroup(item.page))) {
+        unchecked++;
+        continue;
+      }
+      if (stated == null) {
+        problems.push("쪽 없음   " + label + ": 이 책 쪽수에 해당하는 PDF 페이지가 없음");
+        continue;
+      }
+      checked++;
+      const lines = await headingLines(stated);
+      if (matchTitle(lines, item)) continue;
+
+      let foundAt = null;
+      for (let d = 1; d <= SEARCH_RADIUS && foundAt == null; d++) {
+        for (const p of [stated - d, stated + d]) {
+          if (p < 1 || p > totalPages || physicalToBook[p] == null) continue;
+          if (matchTitle(await headingLines(p), item)) {
+            foundAt = p;
+            break;
+          }
+        }
+      }
+      if (foundAt != null) {
+        problems.push("쪽수 틀림 " + label + ": 본문은 " + formatBookPage(physicalToBook[foundAt]) + "쪽(물리 " + foundAt + ")");
+        continue;
+      }
+      const numbered = matchNumber(lines, item);
+      if (numbered) problems.push("제목 다름 " + label + ": 본문 제목 '" + numbered + "'");
+      else problems.push("찾지 못함 " + label + ": 물리 " + stated + "쪽 및 앞뒤 " + SEARCH_RADIUS + "쪽에 제목이 없음");
+    }
+
+    logPut("목차 쪽수 검사: " + checked + "개 항목 확인, 문제 " + problems.length + "개" +
+      (unchecked ? ", 확인 안 함 " + unchecked + "개(색인에서 제외된 앞부분 등)" : ""));
+    const pre = document.getElementById('tocCheck');
+    if (pre) {
+      pre.textContent = problems.length
+        ? problems.join("\n")
+        : "문제 없음(목차 항목 " + checked + "개 모두 적힌 쪽에서 제목을 찾음" + (unchecked ? ", 앞부분 등 " + unchecked + "개는 확인 안 함" : "") + ")";
+    }
+    return problems;
+  }
+
+  function buildBookToPhysical(physicalToBook, totalPages) {
+    // Book page key -> first physical page carrying it
+    const bookToPhysical = new Map();
+    for (let p = 1; p <= totalPages; p++) {
+      const key = physicalToBook[p];
+      if (key != null && !bookToPhysical.has(key)) bookToPhysical.set(key, p);
+    }
+    return bookToPhysical;
+  }
+
   function parseTocLine(rawLine) {
     const line = rawLine.replace(/\s+/g, " ").trim();
     if (!line) return null;
 
-    const mPage = line.match(/^(.*?)(\s+)(\d{1,4})\s*$/);
+    // Page: arabic, prefixed ("A-3", "부록-5") or roman (front matter entries only, see below)
+    const mPage = line.match(/^(.*?)(\s+)(\d{1,4}|[A-Za-z]{1,3}\s*[-–.]\s*\d{1,4}|부록\s*[-–.]?\s*\d{1,4}|[ivxlcdm]{1,8})\s*$/i);
     if (!mPage) return null;
 
     const left = mPage[1].trim();
-    const page = parseInt(mPage[3], 10);
-    if (!page || page <= 0) return null;
+    if (isBareHeadingKeyword(left)) return null;
+    // "명령줄 도구 CLI", "Using C": roman letters that are title words, not a front matter page
+    if (/^[ivxlcdm]+$/i.test(mPage[3]) && !isTocRomanPage(mPage[3])) return null;
+    const loc = parseLocatorLabel(mPage[3].replace(/\s+/g, ""));
+    if (!loc || loc.value <= 0) return null;
+
+    const heading = classifyHeading(left);
+    if (!heading) return null;
+    // "1.3 Vim과 vi" must not read "vi" as page 6: roman pages only for unnumbered entries
+    if (loc.kind === "roman" && heading.kind !== "unnumbered") return null;
+    heading.page = registerLocator(loc);
+    heading.text = left;
+    return heading;
+  }
+
+  function classifyHeading(left) {
+    // Part: "PART 1 ...", "P A R T 1", "1부 ...", "제1부 ..."
+    const mPart = left.match(/^(?:PART|P\s*A\s*R\s*T)\s*(\d+|[IVX]+)\b\s*(.*)$/i) || left.match(/^제?\s*(\d+)\s*부\s+(.*)$/);
+    if (mPart) {
+      return { level: 0, kind: "part", number: mPart[1], title: mPart[2].trim() };
+    }
 
-    
-    // Level 1 (chapter) can appear as "CHAPTER 1 ..." or spaced letters "C H A P T E R 1 ..."
-    const mChap = left.match(/^(?:CHAPTER|C\s*H\s*A\s*P\s*T\s*E\s*R)\s*(\d+)\s+(.*)$/i);
+    // Appendix chapter with a letter number: "APPENDIX A ...", "부록 A ..."
+    const mApp = left.match(/^(?:APPENDIX|A\s*P\s*P\s*E\s*N\s*D\s*I\s*X|부록)\s*([A-Z])\b\s*(.*)$/i);
+    if (mApp) {
+      return { level: 1, kind: "appendix", number: mApp[1].toUpperCase(), title: mApp[2].trim() };
+    }
+
+    // Level 1 (chapter) can appear as "CHAPTER 1 ..." or spaced letters "C H A P T E R 1 ...", or "1장 ...", "제1장 ..."
+    const mChap = left.match(/^(?:CHAPTER|C\s*H\s*A\s*P\s*T\s*E\s*R)\s*(\d+)\s+(.*)$/i) || left.match(/^제?\s*(\d+)\s*장\s+(.*)$/);
     if (mChap) {
-      return { level: 1, number: mChap[1], title: mChap[2].trim(), page: page };
+      return { level: 1, kind: "chapter", number: mChap[1], title: mChap[2].trim() };
+    }
+
+    // Subsections / sections, also under appendices ("A.1", "A.1.2")
+    const m3 = left.match(/^((?:\d+|[A-Z])\.\d+\.\d+)\s+(.*)$/);
+    if (m3) {
+      return { level: 3, kind: "subsection", number: m3[1], title: m3[2].trim() };
     }
-const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
+    const m2 = left.match(/^((?:\d+|[A-Z])\.\d+)\s+(.*)$/);
     if (m2) {
-      return { level: 2, number: m2[1], title: m2[2].trim(), page: page };
+      return { level: 2, kind: "section", number: m2[1], title: m2[2].trim() };
     }
 
     const m1 = left.match(/^(\d+)\s+(.*)$/);
     if (m1) {
-      return { level: 1, number: m1[1], title: m1[2].trim(), page: page };
+      return { level: 1, kind: "chapter", number: m1[1], title: m1[2].trim() };
     }
 
+    // Unnumbered entry ("마치며", "찾아보기"); level is decided by the caller from context
+    if (/[A-Za-z가-힣]/.test(left) && !/^[\d.\s]+$/.test(left)) {
+      return { level: null, kind: "unnumbered", number: "", title: left };
+    }
     return null;
   }
 
+  async function readOutlineTocItems(pdf, totalPages, physicalToBook) {
+    // Walks pdf.getOutline() and resolves each destination to a physical page, then to a book page.
+    // Numbered titles ("CHAPTER 1 ...", "1.1 ...") are classified like printed TOC lines;
+    // unnumbered ones go one level below their parent bookmark (top level = chapter level).
+    let outline = null;
+    try {
+      outline = await pdf.getOutline();
+    } catch (e) {
+      logPut("PDF 북마크 읽기 실패: " + String(e));
+    }
+    if (!outline || !outline.length) {
+      logPut("PDF 북마크 없음");
+      return [];
+    }
+
+    const items = [];
+    let unresolved = 0;
+    async function walk(nodes, parentLevel, appendixLetter) {
+      for (const node of nodes) {
+        const title = String(node.title || "").replace(/\s+/g, " ").trim();
+        const physical = await resolveOutlineDestPage(pdf, node.dest, node.docIndex);
+        const bookPage = (physical != null && physical <= totalPages) ? physicalToBook[physical] : null;
+
+        let level = parentLevel;
+        let childAppendix = appendixLetter;
+        if (title && bookPage != null && bookPage > 0) {
+          const heading = classifyHeading(title);
+          if (heading) {
+            if (heading.kind === "appendix") childAppendix = heading.number;
+            else if (heading.kind === "chapter" || heading.kind === "part") childAppendix = null;
+            demoteLetterSection(heading, appendixLetter, title);
+          }
+          if (heading && heading.kind === "unnumbered") {
+            // Unnumbered bookmarks on body pages sit one level below their parent
+            const isBodyPage = locatorForBookPage(bookPage).kind === "arabic";
+            heading.level = isBodyPage ? Math.max(1, parentLevel + 1) : null;
+          }
+          if (heading && heading.level != null && heading.level <= 3) {
+            heading.page = bookPage;
+            heading.physical = physical;
+            heading.text = title;
+            items.push(heading);
+            level = heading.level;
+          }
+        } else if (title) {
+          unresolved++;
+        }
+
+        if (node.items && node.items.length) await walk(node.items, level, childAppendix);
+      }
+    }
+    await walk(outline, 0, null);
+
+    if (unresolved) logPut("PDF 북마크 중 책 페이지로 변환 못 한 항목: " + unresolved + "개");
+    return items;
+  }
+
+  async function resolveOutlineDestPage(pdf, dest, docIndex) {
+    // Returns 1-based physical page or null. dest is either a named destination or an explicit array,
+    // both relative to the PDF file (docIndex) the bookmark came from.
+    try {
+      const explicit = (typeof dest === "string") ? await pdf.getDestination(dest, docIndex) : dest;
+      if (!Array.isArray(explicit) || !explicit.length) return null;
+      const ref = explicit[0];
+      const pageIndex = (typeof ref === "number") ? ref : await pdf.getPageIndex(ref, docIndex);
+      // /XYZ left top zoom: on a spread the left coordinate tells which half the target is on
+      const left = (explicit[1] && explicit[1].name === "XYZ" && typeof explicit[2] === "number") ? explicit[2] : null;
+      return pdf.unitForPdfPage(docIndex || 0, pageIndex, left);
+    } catch (e) {
+      return null;
+    }
+  }
+
   function groupItemsIntoLines(items) {
     const THRESHOLD_DY = 2.5;
     const buckets = [];
@@ -399,6 +1505,7 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
       if (!str) continue;
       const x = it.transform[4];
       const y = it.transform[5];
+      const size = Math.hypot(it.transform[2], it.transform[3]) || it.height || 10;
 
       let bucket = null;
       for (const b of buckets) {
@@ -408,35 +1515,106 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
         }
       }
       if (!bucket) {
-        bucket = { y: y, parts: [] };
+        bucket = { y: y, size: size, parts: [] };
         buckets.push(bucket);
       }
-      bucket.parts.push({ x: x, str: it.str });
+      bucket.size = Math.max(bucket.size, size);
+      bucket.parts.push({ x: x, size: size, right: x + (it.width || 0), str: it.str });
     }
 
     buckets.sort((a, b) => b.y - a.y);
 
     const lines = buckets.map(b => {
       b.parts.sort((p, q) => p.x - q.x);
-      const text = b.parts.map(p => p.str).join(" ").replace(/\s+/g, " ").trim();
-      return { y: b.y, text: text };
-    });
-
-    // Merge cases where the page number is extracted as a separate line.
-    // If a line is only digits and the previous line has no trailing digits, merge them.
-    const merged = [];
+      // Same word-gap rule as reconstructPageText: "관측 가" + "능성" is one word
+      let joined = "";
+      b.parts.forEach((part, i) => {
+        const hasSpace = /\s$/.test(joined) || /^\s/.test(part.str);
+        if (i > 0 && !hasSpace && isWordGap(b.parts[i - 1], part)) joined += " ";
+        joined += part.str;
+      });
+      const text = stripTocLeaders(normalizeUnicodeText(joined));
+      return { y: b.y, x: b.parts[0].x, size: b.size, text: text };
+    }).filter(l => l.text);
+
+    // Merge cases where the page number is extracted as a separate line (right-aligned run on a
+    // slightly different baseline): attach it to the closer neighbour that has no page yet.
+    const withPages = [];
     for (let i = 0; i < lines.length; i++) {
       const cur = lines[i];
+      if (isTocPageOnly(cur.text)) {
+        const prev = withPages.length ? withPages[withPages.length - 1] : null;
+        const next = lines[i + 1] || null;
+        const canPrev = prev && !hasTrailingTocPage(prev.text);
+        const canNext = next && !isTocPageOnly(next.text) && !hasTrailingTocPage(next.text) &&
+          Math.abs(next.y - cur.y) <= next.size * 0.6;
+        if (canNext && (!canPrev || Math.abs(next.y - cur.y) < Math.abs(prev.y - cur.y))) {
+          next.text = next.text + " " + cur.text;
+          continue;
+        }
+        if (canPrev) {
+          prev.text = prev.text + " " + cur.text;
+          continue;
+        }
+      }
+      withPages.push({ y: cur.y, x: cur.x, size: cur.size, text: cur.text });
+    }
+
+    // Merge wrapped titles: a line without a page number continues on the next line(s) when
+    // it starts with a heading number ("3.2 아주 긴 제목의") or the next line is indented under it.
+    const merged = [];
+    for (const cur of withPages) {
       const prev = merged.length ? merged[merged.length - 1] : null;
-      if (prev && /^\d{1,4}$/.test(cur.text) && !/\d{1,4}\s*$/.test(prev.text)) {
-        prev.text = (prev.text + " " + cur.text).replace(/\s+/g, " ").trim();
-        continue;
+      if (prev && !hasTrailingTocPage(prev.text) && prev.y - cur.y <= Math.max(prev.size, cur.size) * 1.8) {
+        // (" _" so that a bare "CHAPTER 1" whose title is on the next line still counts as numbered)
+        const prevHeading = classifyHeading(prev.text + " _") || {};
+        const curHeading = classifyHeading(cur.text) || {};
+        const prevNumbered = prevHeading.kind && prevHeading.kind !== "unnumbered";
+        const curNumbered = curHeading.kind && curHeading.kind !== "unnumbered";
+        if (!curNumbered && (prevNumbered || cur.x > prev.x + 2)) {
+          prev.text = (prev.text + " " + cur.text).replace(/\s+/g, " ").trim();
+          prev.y = cur.y;
+          prev.merged = (prev.merged || 1) + 1;
+          continue;
+        }
       }
-      merged.push({ y: cur.y, text: cur.text });
+      merged.push({ y: cur.y, x: cur.x, size: cur.size, text: cur.text });
     }
     return merged;
   }
 
+  function stripTocLeaders(text) {
+    // "제목 ........ 23", "제목 · · · · 23", "제목 …… 23" -> "제목 23" (… and ‥ are several dots each)
+    return text.replace(/\s*(?:(?:[.·‥…・]\s*){3,}|(?:[…‥]\s*){2,})\s*/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  function hasTrailingTocPage(text) {
+    const m = (" " + text).match(/^(.*)\s(\d{1,4}|[A-Za-z]{1,3}\s*[-–.]\s*\d{1,4}|부록\s*[-–.]?\s*\d{1,4}|[ivxlcdm]{1,8})\s*$/i);
+    if (!m || isTocPageOnly(text) || isBareHeadingKeyword(m[1])) return false;
+    // Same rule as parseTocLine: "3.2 사용자 ID", "… MVC" still wait for their page on the next line
+    if (/^[ivxlcdm]+$/i.test(m[2])) {
+      const heading = isTocRomanPage(m[2]) ? classifyHeading(m[1].trim()) : null;
+      return !!heading && heading.kind === "unnumbered";
+    }
+    return true;
+  }
+
+  function isBareHeadingKeyword(left) {
+    // "CHAPTER 4" / "PART 2" / "부록 A": the trailing token is the heading number, not a page
+    return /^\s*(?:CHAPTER|C\s*H\s*A\s*P\s*T\s*E\s*R|PART|P\s*A\s*R\s*T|APPENDIX|부록)\s*$/i.test(left);
+  }
+
+  function isTocRomanPage(token) {
+    // Front matter pages in a printed TOC: lowercase canonical roman numerals, a few dozen pages at most
+    if (!/^[ivxlcdm]+$/.test(token)) return false;
+    const n = romanToInt(token);
+    return n > 0 && n <= 50;
+  }
+
+  function isTocPageOnly(text) {
+    return /^(\d{1,4}|[A-Za-z]{1,3}\s*[-–.]\s*\d{1,4}|부록\s*[-–.]?\s*\d{1,4})$/.test(text.trim());
+  }
+
   function buildChapterRanges(level1Items, level2Items) {
     // Prefer explicit level1 items (best). If missing, derive from level2 by chapter number.
     let chapters = (level1Items || []).slice().sort((a, b) => a.page - b.page);
@@ -461,12 +1639,157 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     const ranges = [];
     for (let i = 0; i < chapters.length; i++) {
       const start = chapters[i].page;
-      const end = (i + 1 < chapters.length) ? (chapters[i + 1].page - 1) : 1000000;
-      ranges.push({ ch: String(chapters[i].number), start: start, end: end, title: chapters[i].title || "" });
+      // A range runs at most to the end of its own label kind: an arabic chapter must not swallow
+      // prefixed appendix pages (A-1, ...), while a prefixed appendix runs to the end of the book.
+      const lastEnd = (start < PREFIX_KEY_BASE) ? PREFIX_KEY_BASE - 1 : Infinity;
+      const end = (i + 1 < chapters.length) ? Math.min(chapters[i + 1].page - 1, lastEnd) : lastEnd;
+      const ch = String(chapters[i].number);
+      const kind = chapters[i].kind || (/^[A-Z]$/.test(ch) ? "appendix" : "chapter");
+      ranges.push({ ch: ch, start: start, end: end, title: chapters[i].title || "", kind: kind });
+    }
+    const appendices = ranges.filter(r => r.kind === "appendix");
+    if (appendices.length) {
+      logPut("부록 챕터 범위: " + appendices.map(r => r.ch + "(" + formatBookPage(r.start) + "쪽부터)").join(", "));
     }
     return ranges;
   }
 
+  function parseLocatorLabel(label) {
+    // "12" -> arabic, "xii" -> roman, "A-3" / "A3" / "부록-5" -> prefixed. Anything else -> null.
+    const lab = String(label || "").trim();
+    if (!lab) return null;
+
+    const mNum = lab.match(/^(\d{1,6})$/);
+    if (mNum) return { kind: "arabic", value: parseInt(mNum[1], 10), prefix: "", label: lab };
+
+    if (/^[ivxlcdm]+$/i.test(lab)) {
+      const n = romanToInt(lab);
+      if (n > 0 && n < 1000) return { kind: "roman", value: n, prefix: "", label: lab };
+    }
+
+    const mPre = lab.match(/^([A-Za-z]{1,3}|[가-힣]{1,4})\s*[-–.]?\s*(\d{1,4})$/);
+    if (mPre) return { kind: "prefixed", value: parseInt(mPre[2], 10), prefix: mPre[1], label: lab };
+
+    return null;
+  }
+
+  function romanToInt(s) {
+    // Strict enough for page labels: rejects non-canonical forms such as "iiii" or "vx".
+    const VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+    const t = s.toLowerCase();
+    let n = 0;
+    for (let i = 0; i < t.length; i++) {
+      const v = VALUES[t[i]];
+      const next = VALUES[t[i + 1]] || 0;
+      n += (v < next) ? -v : v;
+    }
+    return (intToRoman(n) === t) ? n : 0;
+
+    function intToRoman(x) {
+      const table = [[1000, "m"], [900, "cm"], [500, "d"], [400, "cd"], [100, "c"], [90, "xc"],
+        [50, "l"], [40, "xl"], [10, "x"], [9, "ix"], [5, "v"], [4, "iv"], [1, "i"]];
+      let out = "";
+      for (const [v, r] of table) {
+        while (x >= v) { out += r; x -= v; }
+      }
+      return out;
+    }
+  }
+
+  function registerLocator(loc) {
+    // Returns the numeric sort key for a parsed locator and remembers how to print it.
+    let key;
+    if (loc.kind === "arabic") {
+      key = loc.value;
+    } else if (loc.kind === "roman") {
+      key = loc.value / 1000;
+    } else {
+      let idx = locatorPrefixes.indexOf(loc.prefix);
+      if (idx < 0) {
+        locatorPrefixes.push(loc.prefix);
+        idx = locatorPrefixes.length - 1;
+      }
+      key = PREFIX_KEY_BASE + (idx + 1) * PREFIX_KEY_STRIDE + loc.value;
+    }
+    // First spelling wins: page labels are registered before the TOC is parsed ("부록-5", not "부록5")
+    if (loc.kind !== "arabic" && !bookLocators.has(key)) bookLocators.set(key, loc);
+    return key;
+  }
+
+  function locatorForBookPage(key) {
+    return bookLocators.get(key) || { kind: "arabic", value: key, prefix: "", label: String(key) };
+  }
+
+  function formatBookPage(key) {
+    return (key == null) ? "null" : locatorForBookPage(key).label;
+  }
+
+  async function detectChapterOpeners(pdf, totalPages, physicalToBook) {
+    // A chapter opener page has (a) a "CHAPTER n" / "n장" / "APPENDIX A" label set in a large font,
+    // (b) the largest font well above body size, (c) little text, and usually (d) a display font
+    // family (textContent.styles) different from the body's. (a) is required, plus (b) or (c).
+    const LARGE_RATIO = 1.6;
+    const LABEL_RATIO = 1.3;
+    const SPARSE_RATIO = 0.4;
+
+    const pages = [];
+    const sizeChars = new Map();   // rounded size -> chars (to find body size)
+    const familyChars = new Map(); // font family -> chars (to find body font)
+    for (let p = 1; p <= totalPages; p++) {
+      const bookPage = physicalToBook[p];
+      if (bookPage == null || bookPage <= 0) continue;
+      const page = await pdf.getPage(p);
+      const tc = await page.getTextContent();
+      const measured = []; // { item, size, family } (items are shared through the page cache: not annotated)
+      let chars = 0, maxSize = 0;
+      for (const it of tc.items) {
+        if (!(it.str || "").trim()) continue;
+        const size = Math.hypot(it.transform[2], it.transform[3]) || it.height || 0;
+        const family = (tc.styles[it.fontName] || {}).fontFamily || it.fontName;
+        const n = it.str.trim().length;
+        chars += n;
+        maxSize = Math.max(maxSize, size);
+        sizeChars.set(Math.round(size), (sizeChars.get(Math.round(size)) || 0) + n);
+        familyChars.set(family, (familyChars.get(family) || 0) + n);
+        measured.push({ item: it, size: size, family: family });
+      }
+      pages.push({ p: p, bookPage: bookPage, measured: measured, chars: chars, maxSize: maxSize });
+      if (p % 100 === 0) logPut("... 챕터 시작 페이지 탐색 " + p + "/" + totalPages);
+    }
+    // No text on any mapped page (image-only body): nothing to detect, callers fall back to the n.1 - 1 guess
+    if (!pages.length || !sizeChars.size) return [];
+
+    const mostChars = m => Array.from(m.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    const bodySize = mostChars(sizeChars) || 10;
+    const bodyFamily = mostChars(familyChars);
+    const charCounts = pages.map(x => x.chars).sort((a, b) => a - b);
+    const medianChars = charCounts[Math.floor(charCounts.length / 2)];
+
+    const openers = [];
+    for (const pg of pages) {
+      const big = pg.measured.filter(m => m.size >= bodySize * LABEL_RATIO);
+      if (!big.length) continue;
+      const bigText = reconstructPageText(big.map(m => m.item));
+      const mLabel = bigText.match(/(?:^|\n)\s*(?:(?:CHAPTER|C\s*H\s*A\s*P\s*T\s*E\s*R)\s*(\d+)|제?\s*(\d+)\s*장|(?:APPENDIX|부록)\s*([A-Z]))(?=\s|$)/i);
+      if (!mLabel) continue;
+
+      const large = pg.maxSize >= bodySize * LARGE_RATIO;
+      const sparse = pg.chars <= medianChars * SPARSE_RATIO;
+      const displayFont = big.some(m => m.family !== bodyFamily);
+      if (!large && !sparse) continue;
+
+      const number = (mLabel[1] || mLabel[2] || mLabel[3]).toUpperCase();
+      if (openers.some(o => o.number === number)) continue; // opener spreads repeat the label
+      const title = bigText.split("\n").map(x => x.trim())
+        .filter(x => x && !/^(?:CHAPTER|C\s*H\s*A\s*P\s*T\s*E\s*R|APPENDIX|부록)?\s*(?:제?\s*\d+\s*장|\d+|[A-Z])?$/i.test(x))[0] || "";
+      openers.push({ number: number, title: title, page: pg.bookPage, kind: mLabel[3] ? "appendix" : "chapter" });
+      logPut("  챕터 시작: 물리 " + pg.p + "쪽(책 " + formatBookPage(pg.bookPage) + ") " + number + " '" + title + "' — 최대 글자 " +
+        Math.round(pg.maxSize) + "(본문 " + bodySize + ")" + (sparse ? ", 빈 페이지에 가까움" : "") + (displayFont ? ", 제목용 글꼴" : ""));
+    }
+    logPut("본문 챕터 시작 페이지 탐지: " + openers.length + "개");
+    return openers;
+  }
+
   function chapterForBookPage(chapterRanges, bookPage) {
     for (const r of chapterRanges) {
       if (r.start <= bookPage && bookPage <= r.end) return r.ch;
@@ -474,60 +1797,149 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     return null;
   }
 
-  /*
-  async function estimateBookToPhysicalOffset(pdf, totalPages, level1Items, tocEnd0, level2Items) {
-    // Robust offset estimation:
-    // 1) If level1 chapter-1 title exists, try matching it after TOC.
-    // 2) Otherwise match multiple level2 titles (with known book pages) and take median offset.
-    function escapeRegExp(s) {
-      return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  async function inferBookPagesFromFolios(pdf, totalPages) {
+    // Fallback mapping when the PDF has no numeric page labels.
+    // 1) Read the printed folio (page number) from the header/footer band of each page.
+    // 2) Keep only folios whose offset (physical - folio) is confirmed by a nearby page,
+    //    so chapter numbers in running heads etc. don't count as folios.
+    // 3) Group into segments of constant offset. Pages between segments continue the previous
+    //    offset until they would collide with the next segment's first book page; the remaining
+    //    pages are unnumbered inserts (plates, blank sheets) and stay null.
+    const SUPPORT_WINDOW = 4;
+    const physicalToBook = new Array(totalPages + 1).fill(null);
+
+    const detections = [];
+    for (let p = 1; p <= totalPages; p++) {
+      const folio = await detectPrintedFolio(pdf, p);
+      if (folio != null) detections.push({ p: p, folio: folio, off: p - folio });
+      if (p % 50 === 0) logPut("... 쪽번호 탐지 " + p + "/" + totalPages);
     }
 
-    const startPhys = Math.min(totalPages, Math.max(1, (tocEnd0 || 0) + 2)); // past TOC
-    const scanEnd = Math.min(totalPages, startPhys + 260);
+    const kept = detections.filter((d, i) => {
+      for (let j = Math.max(0, i - SUPPORT_WINDOW); j <= Math.min(detections.length - 1, i + SUPPORT_WINDOW); j++) {
+        if (j !== i && detections[j].off === d.off && Math.abs(detections[j].p - d.p) <= SUPPORT_WINDOW) return true;
+      }
+      return false;
+    });
+    logPut("쪽번호 탐지: " + detections.length + "쪽에서 발견, 이웃 페이지와 일관된 것 " + kept.length + "쪽");
+    if (!kept.length) {
+      logPut("경고: 쪽번호로 매핑을 추정하지 못했음. 모든 페이지가 건너뛰어짐");
+      return physicalToBook;
+    }
 
-    const ch1 = (level1Items || []).find(x => String(x.number) === "1");
-    if (ch1 && ch1.title && ch1.title.trim().length >= 2) {
-      const title = ch1.title.trim();
-      const titlePrefix = title.slice(0, Math.min(10, title.length));
-      const reNeedle = new RegExp("\\b" + escapeRegExp(ch1.number) + "\\s+" + escapeRegExp(titlePrefix), "i");
+    const segments = [];
+    for (const d of kept) {
+      const last = segments.length ? segments[segments.length - 1] : null;
+      if (last && last.off === d.off) last.lastP = d.p;
+      else segments.push({ off: d.off, firstP: d.p, lastP: d.p });
+    }
 
-      for (let p = startPhys; p <= scanEnd; p++) {
-        const txt = await getPageText(pdf, p);
-        if (!txt) continue;
-        if (txt.indexOf(title) > -1 && reNeedle.test(txt)) return p - ch1.page;
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      const next = segments[i + 1] || null;
+      const fromP = (i === 0) ? 1 : seg.firstP;
+      const toP = next ? next.firstP - 1 : totalPages;
+      const nextFirstBook = next ? next.firstP - next.off : Infinity;
+      for (let p = fromP; p <= toP; p++) {
+        const bp = p - seg.off;
+        if (bp > 0 && bp < nextFirstBook) physicalToBook[p] = bp;
       }
-      for (let p = startPhys; p <= scanEnd; p++) {
-        const txt = await getPageText(pdf, p);
-        if (txt && txt.indexOf(title) > -1) return p - ch1.page;
+    }
+
+    for (const seg of segments) {
+      let a = null, b = null;
+      for (let p = 1; p <= totalPages; p++) {
+        if (physicalToBook[p] == null || p - physicalToBook[p] !== seg.off) continue;
+        if (a === null) a = p;
+        b = p;
       }
+      if (a === null) continue;
+      logPut("쪽번호 매핑: 물리 " + a + "~" + b + "쪽 -> 책 " + physicalToBook[a] + "~" + physicalToBook[b] + "쪽 (오프셋 " + seg.off + ")");
     }
+    const firstMapped = physicalToBook.findIndex(x => x != null);
+    const inserts = [];
+    for (let p = firstMapped; p >= 1 && p <= totalPages; p++) {
+      if (physicalToBook[p] == null) inserts.push(p);
+    }
+    if (inserts.length) logPut("번호 없는 끼움 페이지(제외): 물리 " + inserts.join(", ") + "쪽");
 
-    const cands = (level2Items || []).slice()
-      .filter(it => it && it.title && it.title.trim().length >= 4 && it.page && it.page > 0)
-      .sort((a, b) => (b.title.length - a.title.length)); // longer titles first
+    return physicalToBook;
+  }
 
-    const offsets = [];
-    const MAX_CANDS = 20;
+  function applyPageMapOverrides(physicalToBook, totalPages) {
+    // Returns the set of physical pages that were overridden (for highlighting).
+    const overridden = new Set();
+    for (const ov of getPageMapOverrides()) {
+      const to = Math.min(ov.physTo, totalPages);
+      for (let p = ov.physFrom; p <= to; p++) {
+        physicalToBook[p] = (ov.bookFrom == null) ? null : ov.bookFrom + (p - ov.physFrom);
+        overridden.add(p);
+      }
+      logPut("페이지 매핑 덮어쓰기: 물리 " + ov.physFrom + "~" + to + "쪽 -> " +
+        (ov.bookFrom == null ? "책 페이지 없음" : "책 " + ov.bookFrom + "~" + (ov.bookFrom + to - ov.physFrom) + "쪽"));
+    }
+    return overridden;
+  }
 
-    for (let i = 0; i < Math.min(MAX_CANDS, cands.length); i++) {
-      const it = cands[i];
-      const title = it.title.trim();
-      for (let p = startPhys; p <= scanEnd; p++) {
-        const txt = await getPageText(pdf, p);
-        if (txt && txt.indexOf(title) > -1) {
-          offsets.push(p - it.page);
-          break;
+  function renderPageMapTable(physicalToBook, totalPages, overridden, pdf) {
+    // Whole-document physical -> book table. Gaps (no book page) and jumps (not previous + 1) are highlighted.
+    const table = document.getElementById('pageMapTable');
+    if (!table) return;
+
+    let gaps = 0, jumps = 0;
+    let prevBook = null;
+    const rows = ["<tr><th>물리</th><th>책</th><th></th></tr>"];
+    for (let p = 1; p <= totalPages; p++) {
+      const bp = physicalToBook[p];
+      const cls = [];
+      let note = "";
+      if (bp == null) {
+        cls.push("gap");
+        note = "없음";
+        gaps++;
+      } else {
+        const loc = locatorForBookPage(bp);
+        const prev = (prevBook != null) ? locatorForBookPage(prevBook) : null;
+        if (prev && (prev.kind !== loc.kind || prev.prefix !== loc.prefix)) {
+          note = "라벨 종류 변경";
+        } else if (prev && loc.value !== prev.value + 1) {
+          cls.push("jump");
+          note = (loc.value <= prev.value ? "역행/중복 " : "건너뜀 ") + prev.label + " → " + loc.label;
+          jumps++;
         }
+        prevBook = bp;
+      }
+      if (overridden.has(p)) {
+        cls.push("override");
+        note = (note ? note + ", " : "") + "덮어씀";
       }
-      if (offsets.length >= 7) break;
+      const physical = pdf.isSpread ? p + " (" + pdf.describeUnit(p) + ")" : p;
+      rows.push("<tr class=\"" + cls.join(" ") + "\"><td>" + physical + "</td><td>" + (bp == null ? "-" : formatBookPage(bp)) + "</td><td>" + note + "</td></tr>");
     }
+    table.innerHTML = rows.join("");
+    logPut("페이지 매핑 표: 책 페이지 없음 " + gaps + "쪽, 불연속 " + jumps + "곳 (아래 표 참고)");
+  }
+
+  async function detectPrintedFolio(pdf, pageNum1) {
+    // Looks for a bare number (optionally decorated like "- 12 -") in the top/bottom band of the page.
+    // Prefers the item closest to the page edge. Returns the number or null.
+    const BAND_RATIO = 0.1;
+    const page = await pdf.getPage(pageNum1);
+    const [, y0, , y1] = page.view;
+    const band = (y1 - y0) * BAND_RATIO;
+    const tc = await page.getTextContent();
 
-    if (!offsets.length) return 0;
-    offsets.sort((a, b) => a - b);
-    return offsets[Math.floor(offsets.length / 2)];
+    let best = null;
+    for (const it of tc.items) {
+      const m = String(it.str || "").match(/^[\s\-–—|·]*(\d{1,4})[\s\-–—|·]*$/);
+      if (!m) continue;
+      const y = it.transform[5];
+      const edgeDist = Math.min(y - y0, y1 - y);
+      if (edgeDist > band) continue;
+      if (!best || edgeDist < best.edgeDist) best = { folio: parseInt(m[1], 10), edgeDist: edgeDist };
+    }
+    return (best && best.folio > 0) ? best.folio : null;
   }
-  */
 
   function extractTermsFromTocTitles(level2Items, dropExact) {
     const out = [];
@@ -805,7 +2217,7 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
   }
 
   function normalizeTerm(term) {
-    let t = String(term || "").trim();
+    let t = normalizeUnicodeText(String(term || "")).trim();
     if (!t) return "";
 
     t = t.replace(/\s+/g, " ").trim();
@@ -820,11 +2232,17 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     return t;
   }
 
-  function dedupeTerms(terms, dropExact) {
+  function normalizeListedTerm(term) {
+    // Editor-supplied terms are kept as written (".NET", "(주)"): only Unicode and whitespace are normalized
+    const t = normalizeUnicodeText(String(term || "")).replace(/\s+/g, " ").trim();
+    return (t.length < 2 || t.length > 60) ? "" : t;
+  }
+
+  function dedupeTerms(terms, dropExact, normalize = normalizeTerm) {
     const seen = new Set();
     const out = [];
     for (const t of terms) {
-      const norm = normalizeTerm(t);
+      const norm = normalize(t);
       if (!norm) continue;
       if (dropExact.has(norm)) continue;
       if (seen.has(norm)) continue;
@@ -834,14 +2252,8 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     return out;
   }
 
-  async function buildIndexLines(pdf, totalPages, terms, physicalToBook, chapterRanges, opts) {
-    const maxPagesPerTerm = opts.maxPagesPerTerm || 11;
-    const onePagePerChapter = !!opts.onePagePerChapter;
-
-    // Overlap-based dedupe: remove shorter terms that are mostly covered by a longer containing term.
-    // Example: "원인 분석" -> removed if pages overlap heavily with "근본 원인 분석".
-    const OVERLAP_THRESHOLD = 0.8;
-
+  async function buildPageTextCache(pdf, totalPages) {
+    // Page texts with line breaks kept (captions and references are line-sensitive)
     logPut("본문 텍스트 캐시 생성 중...");
     const pageTexts = new Array(totalPages + 1);
     for (let p = 1; p <= totalPages; p++) {
@@ -849,23 +2261,52 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
       if (p % 25 === 0) logPut("... " + p + "쪽 캐시 완료");
     }
     logPut("본문 텍스트 캐시 완료.");
+    logUnicodeFixStats(totalPages);
+    return pageTexts;
+  }
+
+  function buildIndexLines(pageLineTexts, terms, physicalToBook, chapterRanges, opts) {
+    const maxPagesPerTerm = opts.maxPagesPerTerm || 11;
+    const onePagePerChapter = !!opts.onePagePerChapter;
+
+    // Overlap-based dedupe: remove shorter terms that are mostly covered by a longer containing term.
+    // Example: "원인 분석" -> removed if pages overlap heavily with "근본 원인 분석".
+    const OVERLAP_THRESHOLD = 0.8;
+
+    // Line breaks are just word breaks for matching ("관측\n가능성" should match "관측 가능성")
+    const pageTexts = pageLineTexts.map(t => t.replace(/\s*\n\s*/g, " "));
 
     // 1) First pass: compute chosen pages for every term (after per-chapter compression and capping).
+    // All book pages of all terms come from one matching pass (terms already in matchCache are skipped).
+    const toFind = opts.matchCache ? terms.filter(t => !opts.matchCache.has(t)) : terms;
+    const t0 = performance.now();
+    const found = findBookPagesForTerms(toFind, pageTexts, physicalToBook);
+    if (toFind.length) logPut("용어 위치 찾기: " + toFind.length + "개 용어, " + (pageTexts.length - 1) + "쪽, " + ((performance.now() - t0) / 1000).toFixed(1) + "초");
+    if (opts.matchCache) for (const [t, pages] of found) opts.matchCache.set(t, pages);
+    const allPages = opts.matchCache || found;
+
     const termToPages = new Map(); // term -> number[]
     for (let i = 0; i < terms.length; i++) {
       const term = terms[i];
-      const pages = findBookPagesForTerm(term, pageTexts, physicalToBook);
-      if (pages.length === 0) continue;
+      const pages = allPages.get(term);
+      if (pages.length === 0) {
+        if (opts.missingTerms) opts.missingTerms.push(term);
+        continue;
+      }
 
       let chosen = pages;
       if (onePagePerChapter && chapterRanges && chapterRanges.length) {
         const perCh = new Map();
         for (const bp of pages) {
-          const ch = chapterForBookPage(chapterRanges, bp);
+          // Front matter / prefixed appendix pages outside every chapter form their own group
+          const loc = locatorForBookPage(bp);
+          const ch = chapterForBookPage(chapterRanges, bp) || (loc.kind !== "arabic" ? "~" + loc.kind + ":" + loc.prefix : null);
           if (!ch) continue;
           if (!perCh.has(ch) || bp < perCh.get(ch)) perCh.set(ch, bp);
         }
         chosen = Array.from(perCh.values()).sort((a, b) => a - b);
+        // e.g. only on an arabic-numbered 들어가며 before chapter 1: report instead of silently dropping
+        if (!chosen.length && opts.outsideRangeTerms) opts.outsideRangeTerms.push(term);
       }
 
       chosen = chosen.slice(0, maxPagesPerTerm);
@@ -875,8 +2316,13 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     }
 
     // 2) Dedupe by containment + overlap (deterministic)
-    const removed = dedupeTermsByContainmentAndOverlap(terms, termToPages, OVERLAP_THRESHOLD);
-    if (removed.size) logPut("포함/겹침 기반 정제: " + removed.size + "개 용어 제거(임계값 " + OVERLAP_THRESHOLD + ")");
+    let removed = new Set();
+    if (!opts.skipContainmentDedupe) {
+      const t1 = performance.now();
+      removed = dedupeTermsByContainmentAndOverlap(terms, termToPages, OVERLAP_THRESHOLD);
+      logPut("포함/겹침 기반 정제: " + removed.size + "개 용어 제거(임계값 " + OVERLAP_THRESHOLD + ", 용어 " + terms.length + "개, " +
+        ((performance.now() - t1) / 1000).toFixed(1) + "초)");
+    }
 
     // 3) Format lines (keep original term order)
     const lines = [];
@@ -884,7 +2330,7 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
       if (removed.has(term)) continue;
       const chosen = termToPages.get(term);
       if (!chosen || !chosen.length) continue;
-      lines.push(term + "    " + chosen.join(", "));
+      lines.push(term + "    " + chosen.map(formatBookPage).join(", "));
     }
     return lines;
   }
@@ -908,6 +2354,17 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     const pos = new Map();
     for (let i = 0; i < termsInOrder.length; i++) pos.set(termsInOrder[i], i);
 
+    // Substring index: term index -> indices of the strictly longer terms containing it, in term order.
+    // Running every term through the automaton of all terms finds these pairs without comparing all n² of them.
+    const containers = termsInOrder.map(() => []);
+    const matchTerms = buildTermMatcher(termsInOrder);
+    termsInOrder.forEach((longT, li) => {
+      matchTerms(longT, si => {
+        const list = containers[si];
+        if (termsInOrder[si].length < longT.length && list[list.length - 1] !== li) list.push(li);
+      });
+    });
+
     function overlapRatio(shortT, longT) {
       const s = pageSets.get(shortT);
       const l = pageSets.get(longT);
@@ -918,21 +2375,19 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     }
 
     // For each short term, find best containing longer term
-    for (const shortT of termsInOrder) {
+    for (let si = 0; si < termsInOrder.length; si++) {
+      const shortT = termsInOrder[si];
       if (removed.has(shortT)) continue;
       const sPages = termToPages.get(shortT);
       if (!sPages || sPages.length < 1) continue;
 
       let best = null;
 
-      for (const longT of termsInOrder) {
-        if (longT === shortT) continue;
+      // Only strictly longer terms containing shortT (same order as termsInOrder)
+      for (const li of containers[si]) {
+        const longT = termsInOrder[li];
         if (removed.has(longT)) continue;
 
-        // Only consider "containing" relationship with strictly longer terms
-        if (longT.length <= shortT.length) continue;
-        if (longT.indexOf(shortT) === -1) continue;
-
         const r = overlapRatio(shortT, longT);
         if (r < threshold) continue;
 
@@ -960,41 +2415,488 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     return removed;
   }
 
-  function findBookPagesForTerm(term, pageTexts, physicalToBook) {
-    const pages = [];
+  function findBookPagesForTerms(terms, pageTexts, physicalToBook) {
+    // term -> sorted distinct book pages whose text contains it (exact substring, same as indexOf)
+    const matchTerms = buildTermMatcher(terms);
+    const found = terms.map(() => []);
+    const lastPhys = new Array(terms.length).fill(0);
     for (let p = 1; p < pageTexts.length; p++) {
       const txt = pageTexts[p];
       if (!txt) continue;
-      if (txt.indexOf(term) > -1) {
-        const bp = physicalToBook[p];
-        if (bp != null && bp > 0) pages.push(bp);
+      const bp = physicalToBook[p];
+      if (bp == null || bp <= 0) continue;
+      matchTerms(txt, id => {
+        if (lastPhys[id] === p) return;
+        lastPhys[id] = p;
+        found[id].push(bp);
+      });
+    }
+
+    const result = new Map();
+    terms.forEach((term, id) => {
+      const pages = found[id].sort((a, b) => a - b);
+      const out = [];
+      let prev = null;
+      for (const x of pages) {
+        if (x !== prev) out.push(x);
+        prev = x;
+      }
+      result.set(term, out);
+    });
+    return result;
+  }
+
+  function buildTermMatcher(terms) {
+    // Aho–Corasick automaton over UTF-16 code units: one scan of a text reports every occurrence of
+    // every term (as term indices), instead of one indexOf per term.
+    const next = [new Map()]; // node -> char code -> node (node 0 = root)
+    const fail = [0];         // node -> longest proper suffix that is also a node
+    const out = [[]];         // node -> indices of terms ending here (own + inherited via fail)
+    terms.forEach((term, id) => {
+      let v = 0;
+      for (let k = 0; k < term.length; k++) {
+        const c = term.charCodeAt(k);
+        let u = next[v].get(c);
+        if (u === undefined) {
+          u = next.length;
+          next.push(new Map());
+          fail.push(0);
+          out.push([]);
+          next[v].set(c, u);
+        }
+        v = u;
+      }
+      out[v].push(id);
+    });
+
+    // Breadth-first, so a node's fail target (shallower) is complete before the node itself
+    const queue = Array.from(next[0].values());
+    for (let qi = 0; qi < queue.length; qi++) {
+      const v = queue[qi];
+      for (const [c, u] of next[v]) {
+        let f = fail[v];
+        while (f && !next[f].has(c)) f = fail[f];
+        fail[u] = next[f].get(c) || 0;
+        if (out[fail[u]].length) out[u] = out[u].concat(out[fail[u]]);
+        queue.push(u);
       }
     }
-    pages.sort((a, b) => a - b);
-    const out = [];
-    let prev = null;
-    for (const x of pages) {
-      if (x !== prev) out.push(x);
-      prev = x;
+
+    return function matchTerms(text, onMatch) {
+      let v = 0;
+      for (let k = 0; k < text.length; k++) {
+        const c = text.charCodeAt(k);
+        while (v && !next[v].has(c)) v = fail[v];
+        v = next[v].get(c) || 0;
+        const ids = out[v];
+        for (let j = 0; j < ids.length; j++) onMatch(ids[j]);
+      }
+    };
+  }
+
+  async function detectRunningHeadMask(pdf, totalPages) {
+    // Header/footer bands = y positions near the top/bottom edge that carry a line on many pages.
+    // A line in such a band is dropped when it is a bare folio, or when the same text (digits ignored)
+    // shows up in that band on a nearby page. Body lines that merely start at the same y differ page to page.
+    const BAND_RATIO = 0.12;
+    const NEIGHBOR_WINDOW = 6;
+    const MIN_PAGES_RATIO = 0.2;
+
+    const bandLinesByPage = new Array(totalPages + 1);
+    const pagesPerKey = new Map(); // y key -> number of pages
+    let pagesWithText = 0;
+    for (let p = 1; p <= totalPages; p++) {
+      const page = await pdf.getPage(p);
+      const [, y0, , y1] = page.view;
+      const band = (y1 - y0) * BAND_RATIO;
+      const tc = await page.getTextContent();
+
+      const lines = new Map(); // y key -> text
+      for (const it of tc.items) {
+        if (!it.str || !it.str.trim()) continue;
+        const y = it.transform[5];
+        if (Math.min(y - y0, y1 - y) > band) continue;
+        const key = runningHeadKey(y);
+        lines.set(key, (lines.get(key) || "") + it.str);
+      }
+      if (tc.items.length) pagesWithText++;
+      bandLinesByPage[p] = lines;
+      for (const key of lines.keys()) pagesPerKey.set(key, (pagesPerKey.get(key) || 0) + 1);
+      if (p % 100 === 0) logPut("... 머리말/꼬리말 탐색 " + p + "/" + totalPages);
     }
-    return out;
+
+    const minPages = Math.max(3, Math.ceil(pagesWithText * MIN_PAGES_RATIO));
+    const bandKeys = new Set(Array.from(pagesPerKey.entries()).filter(([, n]) => n >= minPages).map(([k]) => k));
+
+    const mask = new Array(totalPages + 1);
+    let strippedLines = 0, strippedPages = 0;
+    for (let p = 1; p <= totalPages; p++) {
+      mask[p] = new Set();
+      for (const [key, text] of bandLinesByPage[p]) {
+        if (!bandKeys.has(key)) continue;
+        const core = text.replace(/[\d\s]+/g, "");
+        let repeated = !core || /^[ivxlcdm\-–—|·.]+$/i.test(core);
+        for (let q = Math.max(1, p - NEIGHBOR_WINDOW); !repeated && q <= Math.min(totalPages, p + NEIGHBOR_WINDOW); q++) {
+          if (q === p) continue;
+          const other = bandLinesByPage[q].get(key);
+          if (other != null && other.replace(/[\d\s]+/g, "") === core) repeated = true;
+        }
+        if (repeated) mask[p].add(key);
+      }
+      if (mask[p].size) {
+        strippedLines += mask[p].size;
+        strippedPages++;
+      }
+    }
+
+    logPut("머리말/꼬리말 띠 감지: y 위치 " + bandKeys.size + "곳 (최소 " + minPages + "쪽 반복), " +
+      strippedPages + "쪽에서 " + strippedLines + "줄을 본문 텍스트에서 제외");
+    return mask;
+  }
+
+  function runningHeadKey(y) {
+    // 2pt buckets so slightly different baselines of the same band share a key
+    return Math.round(y / 2);
+  }
+
+  function findCaptions(pageTexts, physicalToBook) {
+    // Figure/table/example captions in reading order: { kind, label, number, title, page, physical }
+    const captions = [];
+    for (let p = 1; p < pageTexts.length; p++) {
+      if (physicalToBook[p] == null || !pageTexts[p]) continue;
+      for (const line of pageTexts[p].split("\n")) {
+        const c = parseCaptionLine(line);
+        if (!c) continue;
+        captions.push({ kind: c.kind, label: c.label, number: c.number, title: c.title, page: physicalToBook[p], physical: p });
+      }
+    }
+    return captions;
+  }
+
+  function parseCaptionLine(line) {
+    // A caption is a line that starts with "그림 3-2", "표 1.4", "예제 A-1" (or Figure/Table/Listing)
+    // followed by the caption text. "그림 3-2를 보면" in running text is a reference, not a caption:
+    // there the label is followed by a particle or punctuation. "Figure 1-2. Foo", "그림 3-1: 캡션" are captions.
+    const m = line.match(/^(\s*)(그림|표|예제|Figure|Table|Listing)\s*(\d{1,2}|[A-Z])\s*[-.]\s*(\d{1,3})(?:[.:](?=\s+\S))?(?![\d.-])\s*(.*)$/);
+    if (!m || /^(?:을|를|은|는|이|가|과|와|의|에|에서|처럼|같이|참고|참조|[,.)\]:;])/.test(m[5])) return null;
+    return {
+      kind: m[2],
+      label: captionLabel(m[2], m[3], m[4]),
+      number: m[3].toUpperCase() + "-" + Number(m[4]),
+      title: m[5].trim(),
+      labelEnd: line.length - m[5].length
+    };
+  }
+
+  function buildCaptionLists(pageTexts, physicalToBook) {
+    // 그림/표/예제 목차 in the index's format ("그림 3-1 캡션    123"), in reading order.
+    // Numbering gaps (3-1, 3-3) and duplicates within a chapter are logged for the editor.
+    const LISTS = [
+      { id: "figureList", name: "그림 목차", kinds: ["그림", "Figure"] },
+      { id: "tableList", name: "표 목차", kinds: ["표", "Table"] },
+      { id: "exampleList", name: "예제 목차", kinds: ["예제", "Listing"] }
+    ];
+    const captions = findCaptions(pageTexts, physicalToBook);
+    for (const list of LISTS) {
+      const items = captions.filter(c => list.kinds.includes(c.kind));
+      const lines = items.map(c => (c.kind + " " + c.number + " " + c.title).trim() + "    " + formatBookPage(c.page));
+      const pre = document.getElementById(list.id);
+      if (pre) pre.textContent = lines.join("\n");
+      if (!items.length) continue;
+
+      const byMajor = new Map(); // "3" -> minor numbers in reading order
+      for (const c of items) {
+        const [major, minor] = c.number.split("-");
+        if (!byMajor.has(major)) byMajor.set(major, []);
+        byMajor.get(major).push(Number(minor));
+      }
+      const warnings = [];
+      for (const [major, minors] of byMajor) {
+        const seen = new Set();
+        for (const n of minors) {
+          if (seen.has(n)) warnings.push("중복 " + major + "-" + n);
+          seen.add(n);
+        }
+        for (let n = 1; n <= Math.max.apply(null, minors); n++) {
+          if (!seen.has(n)) warnings.push("빠짐 " + major + "-" + n);
+        }
+      }
+      logPut(list.name + ": " + items.length + "개" + (warnings.length ? ", 번호 확인 필요: " + warnings.join(", ") : ""));
+    }
+  }
+
+  function captionLabel(kind, major, minor) {
+    // "그림 3.2" and "그림 3-2" name the same figure
+    return kind + " " + String(major).toUpperCase() + "-" + Number(minor);
+  }
+
+  function checkCrossReferences(pageTexts, tocItems, physicalToBook, totalPages) {
+    // "3.2절 참고", "그림 1-1", "123쪽" in body text: report references to a section or figure that
+    // doesn't exist, "n.n절(45쪽)" / "그림 n-n(45쪽)" where the page doesn't hold it, page numbers
+    // beyond the book, and unfilled placeholders ("XX쪽", "x.x절"). Result goes to #crossRefCheck.
+    const sectionPages = new Map(); // "3.2" -> book page key
+    for (const it of tocItems) {
+      if (it.number && (it.level === 2 || it.level === 3)) sectionPages.set(String(it.number).toUpperCase(), it.page);
+    }
+    const captionPages = new Map(); // "그림 1-1" -> [book page keys]
+    for (const c of findCaptions(pageTexts, physicalToBook)) {
+      if (!captionPages.has(c.label)) captionPages.set(c.label, []);
+      captionPages.get(c.label).push(c.page);
+    }
+    const bookPages = new Set();
+    for (let p = 1; p <= totalPages; p++) if (physicalToBook[p] != null) bookPages.add(physicalToBook[p]);
+
+    const PLACEHOLDER_RE = /(?:[Xx]{1,3}|[○◯O]{2,3}|\?{2,3}|□{2,3}|ㅇㅇ)\s*쪽|[Xx]{1,2}\.[Xx]{1,2}\s*절|(?:그림|표|예제)\s*[Xx]{1,2}\s*[-.]\s*[Xx]{1,2}/g;
+    const SECTION_RE = /(?<![\d.])(\d{1,2}|[A-Z])\.(\d{1,2}(?:\.\d{1,2})?)\s*절(?:\s*\(\s*(\d{1,4})\s*쪽\s*\))?/g;
+    const FIGURE_RE = /(그림|표|예제)\s*(\d{1,2}|[A-Z])\s*[-.]\s*(\d{1,3})(?!\d|[.-]\d)(?:\s*\(\s*(\d{1,4})\s*쪽\s*\))?/g;
+    const PAGE_RE = /(?<![\d.,\-~])(\d{1,4})\s*(?:~\s*\d{1,4}\s*)?쪽/g;
+
+    const problems = [];
+    let refCount = 0;
+    for (let p = 1; p <= totalPages; p++) {
+      if (physicalToBook[p] == null || !pageTexts[p]) continue;
+      // Caption labels are blanked first: a caption is the target, not a reference
+      let text = pageTexts[p].split("\n").map(line => {
+        const c = parseCaptionLine(line);
+        return c ? " ".repeat(c.labelEnd) + line.slice(c.labelEnd) : line;
+      }).join(" ");
+      const original = pageTexts[p].replace(/\n/g, " ");
+      const where = "책 " + formatBookPage(physicalToBook[p]) + "쪽(물리 " + p + ")";
+      const report = (m, msg) => {
+        const from = Math.max(0, m.index - 12);
+        const snippet = original.slice(from, m.index + m[0].length + 12).replace(/\s+/g, " ").trim();
+        problems.push(where + ": '" + snippet + "' → " + msg);
+      };
+      // Matched spans are blanked out so "3.2절(45쪽)" isn't checked again as a bare "45쪽"
+      const blank = m => {
+        text = text.slice(0, m.index) + " ".repeat(m[0].length) + text.slice(m.index + m[0].length);
+      };
+
+      for (const m of Array.from(text.matchAll(PLACEHOLDER_RE))) {
+        refCount++;
+        report(m, "채우지 않은 자리표시자");
+        blank(m);
+      }
+      for (const m of Array.from(text.matchAll(SECTION_RE))) {
+        refCount++;
+        const number = m[1].toUpperCase() + "." + m[2];
+        if (!sectionPages.has(number)) report(m, "목차에 없는 절");
+        else if (m[3] && sectionPages.get(number) !== Number(m[3])) {
+          report(m, "절은 " + formatBookPage(sectionPages.get(number)) + "쪽에서 시작함");
+        }
+        blank(m);
+      }
+      for (const m of Array.from(text.matchAll(FIGURE_RE))) {
+        const label = captionLabel(m[1], m[2], m[3]);
+        const pages = captionPages.get(label);
+        refCount++;
+        if (!pages) report(m, "캡션이 없는 " + m[1]);
+        else if (m[4] && !pages.includes(Number(m[4]))) {
+          report(m, label + "은(는) " + pages.map(formatBookPage).join(", ") + "쪽에 있음");
+        }
+        blank(m);
+      }
+      for (const m of Array.from(text.matchAll(PAGE_RE))) {
+        refCount++;
+        if (!bookPages.has(Number(m[1]))) report(m, "책에 없는 쪽");
+      }
+    }
+
+    logPut("상호 참조 검사: 참조 " + refCount + "개, 문제 " + problems.length + "개");
+    const pre = document.getElementById('crossRefCheck');
+    if (pre) pre.textContent = problems.length ? problems.join("\n") : "문제 없음(참조 " + refCount + "개 확인)";
+    return problems;
   }
 
   async function getPageText(pdf, pageNum1) {
+    // Layout-aware page text (lines joined with "\n"). Running heads/folios are left out unless kept.
+    const cached = pageTextCache[pageNum1];
+    if (cached && cached.mask === runningHeadMask) {
+      pageTextReuse++;
+      return cached.text;
+    }
     const page = await pdf.getPage(pageNum1);
     const tc = await page.getTextContent();
-    const strs = [];
-    for (const it of tc.items) {
-      if (!it.str) continue;
-      strs.push(it.str);
+    const skip = runningHeadMask ? runningHeadMask[pageNum1] : null;
+    const items = (skip && skip.size) ? tc.items.filter(it => !skip.has(runningHeadKey(it.transform[5]))) : tc.items;
+    if (!hyphenatedWords) hyphenatedWords = await collectHyphenatedWords(pdf, Math.min(pdf.numPages, MAX_PAGES_TO_SCAN));
+    const counts = {};
+    const text = normalizeUnicodeText(reconstructPageText(items, hyphenatedWords), counts);
+    unicodeFixStats[pageNum1] = counts;
+    pageTextCache[pageNum1] = { mask: runningHeadMask, text: text };
+    return text;
+  }
+
+  function normalizeUnicodeText(str, counts) {
+    // Same normalization for page text and terms, so a word always matches itself:
+    // ligatures (ﬁ -> fi), full-width forms (Ａ１ -> A1, ideographic space), smart quotes,
+    // NFC (decomposed Hangul from macOS exports) and compatibility jamo runs (ㄱㅏ -> 가).
+    // If counts is given, the number of fixes per kind is added to it.
+    const LIGATURES = { "\uFB00": "ff", "\uFB01": "fi", "\uFB02": "fl", "\uFB03": "ffi", "\uFB04": "ffl", "\uFB05": "st", "\uFB06": "st" };
+    const bump = (kind, n) => {
+      if (counts && n) counts[kind] = (counts[kind] || 0) + n;
+    };
+
+    let s = String(str || "");
+    s = s.replace(/[\uFB00-\uFB06]/g, ch => { bump("ligature", 1); return LIGATURES[ch]; });
+    s = s.replace(/[\uFF01-\uFF5E]/g, ch => { bump("width", 1); return String.fromCharCode(ch.charCodeAt(0) - 0xFEE0); });
+    s = s.replace(/\u3000/g, () => { bump("width", 1); return " "; });
+    s = s.replace(/[\u2018\u2019\u201A\u201B]/g, () => { bump("quote", 1); return "'"; });
+    s = s.replace(/[\u201C\u201D\u201E\u201F]/g, () => { bump("quote", 1); return "\""; });
+
+    const nfc = s.normalize("NFC");
+    if (nfc !== s) {
+      // count composed syllables (leading conjoining jamo that disappeared), or 1 for other combining fixes
+      const leads = x => (x.match(/[\u1100-\u1112]/g) || []).length;
+      bump("nfc", (leads(s) - leads(nfc)) || 1);
+    }
+    s = nfc;
+
+    return composeCompatibilityJamo(s, counts ? (n => bump("jamo", n)) : null);
+  }
+
+  function composeCompatibilityJamo(s, onCompose) {
+    // Some Korean fonts map glyphs to compatibility jamo (U+3131..U+3163), so "가능" arrives as "ㄱㅏㄴㅡㅇ".
+    // Compose only initial+vowel(+final) runs; a lone jamo such as "ㄱ자형" stays as is.
+    const INITIALS = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+    const FINALS = " ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ"; // index 0 = no final
+    const isVowel = ch => ch >= "\u314F" && ch <= "\u3163";
+    if (!/[\u3131-\u3163]/.test(s)) return s;
+
+    let out = "";
+    let composed = 0;
+    for (let i = 0; i < s.length; i++) {
+      const l = INITIALS.indexOf(s[i]);
+      if (l < 0 || !isVowel(s[i + 1] || "")) {
+        out += s[i];
+        continue;
+      }
+      const v = s.charCodeAt(i + 1) - 0x314F;
+      let t = 0;
+      const f = s[i + 2] || "";
+      if (f && FINALS.indexOf(f) > 0 && !isVowel(s[i + 3] || "")) t = FINALS.indexOf(f);
+      out += String.fromCharCode(0xAC00 + (l * 21 + v) * 28 + t);
+      composed++;
+      i += t ? 2 : 1;
+    }
+    if (onCompose) onCompose(composed);
+    return out;
+  }
+
+  function logUnicodeFixStats(totalPages) {
+    const total = {};
+    let pages = 0;
+    for (let p = 1; p <= totalPages; p++) {
+      const counts = unicodeFixStats[p];
+      if (!counts || !Object.keys(counts).length) continue;
+      pages++;
+      const parts = [];
+      for (const kind of Object.keys(UNICODE_FIX_NAMES)) {
+        if (!counts[kind]) continue;
+        parts.push(UNICODE_FIX_NAMES[kind] + " " + counts[kind]);
+        total[kind] = (total[kind] || 0) + counts[kind];
+      }
+      logPut("  유니코드 정규화 물리 " + p + "쪽: " + parts.join(", "));
+    }
+    if (!pages) {
+      logPut("유니코드 정규화: 고친 글자 없음");
+      return;
+    }
+    logPut("유니코드 정규화 합계(" + pages + "쪽): " +
+      Object.keys(UNICODE_FIX_NAMES).filter(k => total[k]).map(k => UNICODE_FIX_NAMES[k] + " " + total[k]).join(", "));
+  }
+
+  async function collectHyphenatedWords(pdf, totalPages) {
+    // Adjacent parts of hyphenated words printed within a line ("key-value-store" -> "key-value", "value-store")
+    const words = new Set();
+    for (let p = 1; p <= totalPages; p++) {
+      const page = await pdf.getPage(p);
+      const text = reconstructPageText((await page.getTextContent()).items);
+      for (const w of text.match(/[A-Za-z]+(?:-[A-Za-z]+)+/g) || []) {
+        const parts = w.toLowerCase().split("-");
+        for (let i = 0; i + 1 < parts.length; i++) words.add(parts[i] + "-" + parts[i + 1]);
+      }
+    }
+    if (words.size) logPut("줄 끝 하이픈: 본문에 하이픈으로 쓰인 단어 " + words.size + "쌍은 줄이 바뀌어도 하이픈 유지");
+    return words;
+  }
+
+  function isWordGap(prev, next) {
+    // Items on one line: a gap wider than ~0.15em (or jumping back left) separates words
+    const JOIN_GAP_EM = 0.15;
+    return next.x - prev.right > Math.min(next.size, prev.size) * JOIN_GAP_EM || next.x < prev.x;
+  }
+
+  function reconstructPageText(items, hyphenatedWords) {
+    // pdf.js splits runs at font/kerning changes, so a Korean word can arrive as "관측 가" + "능성".
+    // Join items by geometry instead of blindly with " ":
+    // - previous item ended the line (hasEOL) or baseline moved  -> newline
+    // - horizontal gap smaller than ~0.15em                      -> nothing (same word)
+    // - otherwise                                                -> one space
+    // Finally rejoin English words hyphenated across lines ("obser-\nvability"), keeping the hyphen of
+    // compounds ("state-of-the-\nart", or "key-\nvalue" when hyphenatedWords has "key-value").
+    const SAME_LINE_EM = 0.5;
+
+    const lines = [];
+    let cur = "";
+    let prev = null;
+    let pendingEOL = false;
+    for (const it of items) {
+      const str = it.str || "";
+      if (!str) {
+        if (it.hasEOL) pendingEOL = true;
+        continue;
+      }
+      const x = it.transform[4];
+      const y = it.transform[5];
+      const size = Math.hypot(it.transform[2], it.transform[3]) || it.height || 10;
+
+      if (prev) {
+        const sameLine = !pendingEOL && Math.abs(y - prev.y) <= Math.min(size, prev.size) * SAME_LINE_EM;
+        if (!sameLine) {
+          lines.push(cur);
+          cur = "";
+        } else {
+          const hasSpace = /\s$/.test(cur) || /^\s/.test(str);
+          if (!hasSpace && isWordGap(prev, { x: x, size: size })) cur += " ";
+        }
+      }
+      cur += str;
+      prev = { x: x, y: y, size: size, right: x + (it.width || 0) };
+      pendingEOL = !!it.hasEOL;
     }
-    return strs.join(" ");
+    if (cur) lines.push(cur);
+
+    const out = [];
+    for (const raw of lines) {
+      const line = raw.replace(/[ \t]+/g, " ").trim();
+      if (!line) continue;
+      const last = out.length ? out[out.length - 1] : null;
+      if (last && /[A-Za-z]-$/.test(last) && /^[a-z]/.test(line)) {
+        const head = last.match(/(?:[A-Za-z]+-)*[A-Za-z]+-$/)[0];
+        const pair = head.slice(0, -1).split("-").pop() + "-" + line.match(/^[a-z]+/)[0];
+        const keep = head.indexOf("-") < head.length - 1 || (hyphenatedWords && hyphenatedWords.has(pair.toLowerCase()));
+        out[out.length - 1] = (keep ? last : last.slice(0, -1)) + line;
+        continue;
+      }
+      out.push(line);
+    }
+    return out.join("\n");
   }
 
   // -----------------------------
   // Util funcs
   // -----------------------------
 
+  function settingsKey(ids) {
+    // Current values of the given setting inputs, as a string to compare between runs
+    return JSON.stringify(ids.map(id => {
+      const el = document.getElementById(id);
+      if (!el) return null;
+      return el.type === "checkbox" ? el.checked : el.value;
+    }));
+  }
+
   function logPut(str) {
     const log = document.getElementById('log');
     if (!log) return;
@@ -1021,6 +2923,40 @@ const m2 = left.match(/^(\d+\.\d+)\s+(.*)$/);
     return null;
   }
 
+  function getPageMapOverrides() {
+    // Parses '페이지 매핑 덮어쓰기' lines: "300-310=288-298", "300-310=288", "311=-" (no book page).
+    const ta = document.getElementById('paramPageMapOverrides');
+    const out = [];
+    if (!ta) return out;
+    for (const raw of String(ta.value || "").split(/\r?\n/)) {
+      const line = raw.replace(/물리|책|쪽|\s+/g, "").replace(/[–—~]/g, "-");
+      if (!line) continue;
+      const m = line.match(/^(\d+)(?:-(\d+))?=(?:(-)|(\d+)(?:-(\d+))?)$/);
+      if (!m) {
+        logPut("경고: 페이지 매핑 덮어쓰기 줄 무시(형식 오류): " + raw.trim());
+        continue;
+      }
+      const physFrom = parseInt(m[1], 10);
+      const physTo = m[2] ? parseInt(m[2], 10) : physFrom;
+      const bookFrom = m[3] ? null : parseInt(m[4], 10);
+      if (physTo < physFrom || (m[5] && parseInt(m[5], 10) - bookFrom !== physTo - physFrom)) {
+        logPut("경고: 페이지 매핑 덮어쓰기 줄 무시(범위 길이 불일치): " + raw.trim());
+        continue;
+      }
+      out.push({ physFrom: physFrom, physTo: physTo, bookFrom: bookFrom });
+    }
+    return out;
+  }
+
+  function getTermListOverride() {
+    // If '용어 목록 직접 지정' is checked, returns the pasted/uploaded list (one term per line).
+    const chk = document.getElementById('paramUseTermList');
+    const ta = document.getElementById('paramTermList');
+    if (!chk || !chk.checked || !ta) return null;
+    const list = String(ta.value || "").split(/\r?\n/).map(x => x.trim()).filter(Boolean);
+    return list.length ? list : null;
+  }
+
   function htmlEscape(str) {
     return String(str || "")
       .replace(/&/g, '&amp;')